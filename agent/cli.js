@@ -1,36 +1,130 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
+const fs = require('fs');
 const { ethers } = require('ethers');
+const { parseKey, decryptPayload } = require('../api/encryption');
+const { intentMessage, resultMessage } = require('../api/intents');
+const { VERDICTS, REASON_CODES } = require('../api/reportCodes');
+const { unlockVault } = require('./vault');
+const { EXIT, findEvent, requestState, watchRequest } = require('./watch');
+const { resolveNetwork, getProvider, checkChain } = require('../api/networks');
 require('dotenv').config();
 
 const ABI = [
   "function requestPurchase(string itemId, uint256 proposedPrice, string sellerId) returns (bytes32)",
+  "function requestPurchaseWithEscrow(string itemId, uint256 proposedPrice, string sellerId, address token, uint256 amount, address payout) returns (bytes32)",
+  "function refundEscrow(bytes32 requestId)",
+  "function policies(address agent) view returns (bool active, bool allowConfidential, bool sellerAllowlistOnly, bool categoryAllowlistOnly, uint256 maxPurchase, uint256 dailyLimit, uint256 weeklyLimit)",
+  "function spentInWindows(address agent) view returns (uint256 daily, uint256 weekly)",
+  "function setPolicy(address agent, tuple(bool active, bool allowConfidential, bool sellerAllowlistOnly, bool categoryAllowlistOnly, uint256 maxPurchase, uint256 dailyLimit, uint256 weeklyLimit) policy)",
+  "function setSellerRule(address agent, string sellerId, uint8 rule)",
+  "function setCategoryRule(address agent, string category, uint8 rule)",
   "function requestConfidentialPurchase(bytes32 intentHash) returns (bytes32)",
   "function revealPurchase(bytes32 requestId, string itemId, uint256 proposedPrice, string sellerId, bytes32 salt)",
   "function submitReview(bytes32 requestId, uint8 qualityRating, uint8 deliveryRating, uint8 valueRating, string comment)",
   "function getReview(bytes32 requestId) view returns (tuple(bytes32 requestId, address reviewer, uint8 qualityRating, uint8 deliveryRating, uint8 valueRating, string comment, uint256 timestamp))",
-  "function getConfidentialRequest(bytes32 requestId) view returns (tuple(bytes32 intentHash, address requester, bool fulfilled, bool approved, bool revealed, uint256 referencePrice, uint256 timestamp))",
+  "function cancelRequest(bytes32 requestId)",
+  "function getRequest(bytes32 requestId) view returns (tuple(string itemId, uint256 proposedPrice, string sellerId, address requester, bool fulfilled, bool approved, uint256 referencePrice, uint256 timestamp, uint256 deadline, bool expired, bool cancelled))",
+  "function getConfidentialRequest(bytes32 requestId) view returns (tuple(bytes32 intentHash, address requester, bool fulfilled, bool approved, bool revealed, uint256 referencePrice, uint256 timestamp, uint256 deadline, bool expired, bool cancelled))",
+  "function getDecision(bytes32 requestId) view returns (tuple(uint8 verdict, uint8 reasonCode, uint8 valueScore, uint8 priceFairness, uint8 qualitySignal, uint8 sellerTrust, uint8 valueRatio, uint256 effectivePrice))",
   "event PurchaseRequested(bytes32 indexed requestId, string itemId, uint256 proposedPrice, string sellerId, address requester)",
   "event ConfidentialPurchaseRequested(bytes32 indexed requestId, bytes32 intentHash, address requester)",
   "event PurchaseApproved(bytes32 indexed requestId, uint256 referencePrice)",
   "event PurchaseRejected(bytes32 indexed requestId, uint256 referencePrice, string reason)",
-  "event ReviewSubmitted(bytes32 indexed requestId, string itemId, string sellerId, uint8 quality, uint8 delivery, uint8 value, address reviewer)"
+  "event PurchaseExpired(bytes32 indexed requestId, uint256 deadline)",
+  "event PurchaseCancelled(bytes32 indexed requestId, address requester)",
+  "event ReportReceived(bytes32 indexed requestId, bool approved, uint256 referencePrice)",
+  "event ReviewSubmitted(bytes32 indexed requestId, string itemId, string sellerId, uint8 quality, uint8 delivery, uint8 value, address reviewer)",
+  "event UnlinkedReviewSubmitted(bytes32 indexed requestId, uint8 quality, uint8 delivery, uint8 value)"
 ];
 
-function getContract() {
-  const { SEPOLIA_RPC_URL, PRIVATE_KEY, CONTRACT_ADDRESS } = process.env;
-  if (!CONTRACT_ADDRESS) throw new Error('CONTRACT_ADDRESS not set in .env');
-  if (!SEPOLIA_RPC_URL) throw new Error('SEPOLIA_RPC_URL not set in .env');
-  if (!PRIVATE_KEY) throw new Error('PRIVATE_KEY not set in .env');
+// PurchaseGuard on the --network profile (deployments/<network>.json, see api/networks.js)
+// readOnly: bound to the provider alone, for commands that only read state and need no key
+async function getContract({ readOnly = false } = {}) {
+  const network = resolveNetwork(program.opts().network);
+  if (!network.contract) throw new Error(`No PurchaseGuard deployment for ${network.name}: run scripts/deploy.js --network ${network.name}`);
+  if (!readOnly && !network.privateKey) throw new Error('PRIVATE_KEY not set in .env');
 
-  const provider = new ethers.JsonRpcProvider(SEPOLIA_RPC_URL);
-  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  return new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet);
+  const provider = getProvider(network);
+  await checkChain(provider, network);
+  if (readOnly) return new ethers.Contract(network.contract, ABI, provider);
+  const wallet = new ethers.Wallet(network.privateKey, provider);
+  return new ethers.Contract(network.contract, ABI, wallet);
+}
+
+// Decision API base URL and auth header (VALUEORACLE_API_KEY, when the API enforces keys)
+function apiConfig() {
+  const url = process.env.DECISION_API_URL || 'http://localhost:3000';
+  const key = process.env.VALUEORACLE_API_KEY;
+  return { url, headers: key ? { Authorization: `Bearer ${key}` } : {} };
+}
+
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function decimals() view returns (uint8)"
+];
+
+// Dry-run evaluation against the decision API (no gas, nothing onchain)
+async function evaluateRemote(itemId, price, sellerId) {
+  const api = apiConfig();
+  const res = await fetch(`${api.url}/evaluate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...api.headers },
+    body: JSON.stringify({ itemId, price: Number(price), sellerId })
+  });
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+  return body;
+}
+
+function printEvaluation(r) {
+  console.log(`  verdict: ${r.verdict} (score ${r.valueScore}/100)`);
+  console.log(`  reason: ${r.reason}${r.reasonCode ? ` [${r.reasonCode}]` : ''}`);
+  console.log(`  effective price: $${r.effectivePrice}  reference: $${r.referencePrice}`);
+  const b = r.breakdown;
+  console.log(`  breakdown: price ${b.priceFairness}  quality ${b.qualitySignal}  seller ${b.sellerTrust}  value ${b.valueRatio}`);
+  if (r.freshness?.stale) console.log(`  warning: only ${r.freshness.live}/${r.freshness.total} live price sources`);
 }
 
 const program = new Command();
-program.name('valueoracle-agent').version('1.0.0');
+program
+  .name('valueoracle-agent')
+  .version('1.0.0')
+  .option('-n, --network <name>', 'Network profile: sepolia, localhost or a deployments/ file', process.env.NETWORK || 'sepolia');
+
+// Dry run: what would the oracle say, before spending gas?
+program
+  .command('evaluate')
+  .argument('<itemId>', 'Product identifier')
+  .option('-p, --price <amount>', 'Proposed price', '1000')
+  .option('-s, --seller <id>', 'Seller identifier', 'seller-42')
+  .action(async (itemId, opts) => {
+    console.log(`\nEvaluating ${itemId} @ $${opts.price} from ${opts.seller}`);
+    try {
+      const result = await evaluateRemote(itemId, opts.price, opts.seller);
+      printEvaluation(result);
+      process.exit(result.approved ? EXIT.approved : EXIT.rejected);
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(EXIT.error);
+    }
+  });
+
+// Wait for a request's outcome; exit code 0 approved, 2 rejected, 3 timeout, 4 expired/cancelled
+program
+  .command('watch')
+  .argument('<requestId>', 'Purchase request ID, standard or confidential')
+  .option('-t, --timeout <seconds>', 'Give up after this long', '300')
+  .action(async (requestId, opts) => {
+    try {
+      process.exit(await watchRequest(await getContract({ readOnly: true }), requestId, Number(opts.timeout)));
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(EXIT.error);
+    }
+  });
 
 // Standard (public) purchase
 program
@@ -38,24 +132,61 @@ program
   .argument('<itemId>', 'Product identifier')
   .option('-p, --price <amount>', 'Proposed price', '1000')
   .option('-s, --seller <id>', 'Seller identifier', 'seller-42')
+  .option('--token <address>', 'ERC-20 to escrow (released on approval, refunded on rejection)')
+  .option('--amount <amount>', 'Escrow amount in token units (defaults to --price)')
+  .option('--payout <address>', 'Seller payout address for the escrow')
+  .option('-w, --wait', 'Evaluate first, skip the purchase unless approved, then watch for the outcome')
+  .option('-t, --timeout <seconds>', 'With --wait: how long to watch', '300')
+  .option('--force', 'With --wait: submit even if the dry run does not approve')
   .action(async (itemId, opts) => {
     console.log(`\nPurchase request: ${itemId} @ $${opts.price} from ${opts.seller}`);
 
     try {
-      const contract = getContract();
-      const tx = await contract.requestPurchase(itemId, ethers.parseUnits(opts.price, 0), opts.seller);
+      if (opts.wait) {
+        const evaluation = await evaluateRemote(itemId, opts.price, opts.seller);
+        printEvaluation(evaluation);
+        if (!evaluation.approved && !opts.force) {
+          console.log('not submitting: the dry run did not approve (use --force to submit anyway)');
+          process.exit(EXIT.rejected);
+        }
+      }
+
+      const contract = await getContract();
+      let tx;
+      if (opts.token) {
+        if (!opts.payout) throw new Error('--payout is required with --token');
+        const token = new ethers.Contract(opts.token, ERC20_ABI, contract.runner);
+        const decimals = await token.decimals();
+        const amount = ethers.parseUnits(opts.amount || opts.price, decimals);
+        const spender = await contract.getAddress();
+
+        if (await token.allowance(contract.runner.address, spender) < amount) {
+          await (await token.approve(spender, amount)).wait();
+          console.log(`approved ${ethers.formatUnits(amount, decimals)} for escrow`);
+        }
+        tx = await contract.requestPurchaseWithEscrow(
+          itemId, ethers.parseUnits(opts.price, 0), opts.seller, opts.token, amount, opts.payout
+        );
+      } else {
+        tx = await contract.requestPurchase(itemId, ethers.parseUnits(opts.price, 0), opts.seller);
+      }
       console.log(`tx: ${tx.hash}`);
 
       const receipt = await tx.wait();
       console.log(`confirmed in block ${receipt.blockNumber}`);
-      console.log('Waiting for oracle fulfillment...');
+      const { requestId } = findEvent(contract, receipt, 'PurchaseRequested').args;
+      console.log(`request id: ${requestId}`);
+
+      if (opts.wait) process.exit(await watchRequest(contract, requestId, Number(opts.timeout)));
+      console.log(`Waiting for oracle fulfillment... (node agent/cli.js watch ${requestId})`);
     } catch (err) {
       console.error(`Failed: ${err.message}`);
       process.exit(1);
     }
   });
 
-// Confidential purchase — intent stays private onchain
+// Confidential purchase — intent stays private onchain. The intent and its salt go
+// into the local vault before the transaction is sent, so reveal never needs them retyped.
 program
   .command('buy-private')
   .argument('<itemId>', 'Product identifier')
@@ -65,61 +196,351 @@ program
     console.log(`\nConfidential purchase: ${itemId} @ $${opts.price} from ${opts.seller}`);
 
     try {
-      const contract = getContract();
+      const contract = await getContract();
+      const vault = await unlockVault();
 
-      // Generate random salt for commitment
+      // Random salt for the commitment, and our own key for the encrypted result
       const salt = ethers.hexlify(ethers.randomBytes(32));
+      const resultKey = ethers.hexlify(ethers.randomBytes(32));
       const intentHash = ethers.solidityPackedKeccak256(
         ['string', 'uint256', 'string', 'bytes32'],
         [itemId, opts.price, opts.seller, salt]
       );
 
+      const wallet = contract.runner;
+      vault.add({
+        intentHash, itemId, price: opts.price, sellerId: opts.seller, salt, resultKey,
+        requester: wallet.address, network: program.opts().network, contract: await contract.getAddress()
+      });
+      vault.save();
       console.log(`intent hash: ${intentHash}`);
-      console.log(`salt (save this for reveal): ${salt}`);
+      console.log(`salt saved to vault ${vault.file}`);
 
-      // Cache intent for CRE lookup
-      const apiUrl = process.env.DECISION_API_URL || 'http://localhost:3000';
+      // Register intent for CRE lookup — the API recomputes the commitment
+      // from the salt and checks our signature before storing it
+      const api = apiConfig();
       try {
-        await fetch(`${apiUrl}/intent`, {
+        const signature = await wallet.signMessage(intentMessage(intentHash));
+        const res = await fetch(`${api.url}/intent`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ intentHash, itemId, price: Number(opts.price), sellerId: opts.seller })
+          headers: { 'Content-Type': 'application/json', ...api.headers },
+          body: JSON.stringify({
+            intentHash, itemId, price: Number(opts.price), sellerId: opts.seller,
+            salt, requester: wallet.address, signature, resultKey
+          })
         });
-        console.log('intent cached offchain');
+        if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+        console.log('intent registered offchain');
       } catch (e) {
-        console.log('warning: could not cache intent offchain, CRE may not resolve details');
+        console.log(`warning: could not register intent offchain (${e.message}), CRE may not resolve details`);
       }
 
       const tx = await contract.requestConfidentialPurchase(intentHash);
       console.log(`tx: ${tx.hash}`);
 
       const receipt = await tx.wait();
+      const requestId = findEvent(contract, receipt, 'ConfidentialPurchaseRequested').args.requestId;
+      vault.entries.find(e => e.intentHash === intentHash).requestId = requestId;
+      vault.save();
       console.log(`confirmed in block ${receipt.blockNumber}`);
+      console.log(`request id: ${requestId}`);
       console.log('Waiting for oracle fulfillment via CRE...');
+      console.log(`read the encrypted result with: node agent/cli.js decrypt ${intentHash}`);
+      console.log(`reveal it once fulfilled with: node agent/cli.js reveal ${requestId}`);
     } catch (err) {
       console.error(`Failed: ${err.message}`);
       process.exit(1);
     }
   });
 
-// Reveal confidential purchase (optional, post-fulfillment)
+// Confidential intents in the vault that are not revealed yet, with their onchain state
+program
+  .command('pending')
+  .action(async () => {
+    try {
+      const contract = await getContract();
+      const vault = await unlockVault();
+      const address = (await contract.getAddress()).toLowerCase();
+
+      const pending = vault.pending();
+      if (pending.length === 0) console.log('no pending intents');
+      for (const entry of pending) {
+        let state = 'unconfirmed (request not mined)';
+        if (entry.contract.toLowerCase() !== address) {
+          state = `on ${entry.network || 'another network'} (${entry.contract}), use --network`;
+        } else if (entry.requestId) {
+          const req = await contract.getConfidentialRequest(entry.requestId);
+          state = req.revealed ? 'revealed elsewhere' : requestState(req);
+          if (req.revealed) markRevealed(entry, null);
+        }
+        console.log(`\n${entry.requestId || entry.intentHash}`);
+        console.log(`  ${entry.itemId} @ ${entry.price} from ${entry.sellerId}`);
+        console.log(`  state: ${state}`);
+        console.log(`  created: ${entry.createdAt}`);
+      }
+      vault.save();
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+function markRevealed(entry, txHash) {
+  entry.revealedAt = new Date().toISOString();
+  entry.revealTx = txHash;
+}
+
+async function revealIntent(contract, requestId, intent) {
+  const tx = await contract.revealPurchase(requestId, intent.itemId, ethers.parseUnits(intent.price, 0), intent.sellerId, intent.salt);
+  console.log(`tx: ${tx.hash}`);
+
+  const receipt = await tx.wait();
+  console.log(`revealed in block ${receipt.blockNumber}`);
+  return tx.hash;
+}
+
+// Reveal a confidential purchase (optional, post-fulfillment). Details come from the
+// vault unless all of itemId, --price, --seller and --salt are given.
 program
   .command('reveal')
-  .argument('<requestId>', 'Confidential request ID')
-  .argument('<itemId>', 'Original item ID')
+  .argument('[requestId]', 'Confidential request ID')
+  .argument('[itemId]', 'Original item ID')
   .option('-p, --price <amount>', 'Original price')
   .option('-s, --seller <id>', 'Original seller ID')
   .option('--salt <salt>', 'Salt used during commitment')
+  .option('--all-fulfilled', 'Reveal every fulfilled, unrevealed request in the vault')
   .action(async (requestId, itemId, opts) => {
-    console.log(`\nRevealing purchase ${requestId}`);
+    try {
+      const contract = await getContract();
+
+      if (opts.allFulfilled) {
+        const vault = await unlockVault();
+        const address = (await contract.getAddress()).toLowerCase();
+        let revealed = 0;
+        for (const entry of vault.pending()) {
+          if (!entry.requestId || entry.contract.toLowerCase() !== address) continue;
+          const req = await contract.getConfidentialRequest(entry.requestId);
+          if (req.revealed) markRevealed(entry, null);
+          if (!req.fulfilled || req.revealed) continue;
+
+          console.log(`\nRevealing purchase ${entry.requestId} (${entry.itemId} @ ${entry.price} from ${entry.sellerId})`);
+          markRevealed(entry, await revealIntent(contract, entry.requestId, entry));
+          vault.save();
+          revealed++;
+        }
+        vault.save();
+        console.log(`\nrevealed ${revealed}, ${vault.pending().length} still pending`);
+        return;
+      }
 
+      if (!requestId) throw new Error('requestId or --all-fulfilled required');
+      console.log(`\nRevealing purchase ${requestId}`);
+      if (itemId && opts.price && opts.seller && opts.salt) {
+        await revealIntent(contract, requestId, { itemId, price: opts.price, sellerId: opts.seller, salt: opts.salt });
+        return;
+      }
+
+      const vault = await unlockVault();
+      const entry = vault.find(requestId);
+      if (!entry) throw new Error('Request not in the vault: pass itemId, --price, --seller and --salt');
+      if (entry.revealedAt) throw new Error(`Already revealed at ${entry.revealedAt}`);
+      markRevealed(entry, await revealIntent(contract, requestId, entry));
+      vault.save();
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Show a request's state, standard or confidential
+program
+  .command('status')
+  .argument('<requestId>', 'Purchase request ID')
+  .action(async (requestId) => {
+    try {
+      const contract = await getContract({ readOnly: true });
+      let req = await contract.getRequest(requestId);
+      let label = `${req.itemId} @ ${req.proposedPrice} from ${req.sellerId}`;
+      if (req.requester === ethers.ZeroAddress) {
+        req = await contract.getConfidentialRequest(requestId);
+        if (req.requester === ethers.ZeroAddress) throw new Error('Request not found');
+        label = `confidential intent ${req.intentHash}`;
+      }
+
+      console.log(`\n${requestId}`);
+      console.log(`  ${label}`);
+      console.log(`  state: ${requestState(req)}`);
+      console.log(`  deadline: ${new Date(Number(req.deadline) * 1000).toISOString()}`);
+      if (req.fulfilled) {
+        console.log(`  reference price: ${req.referencePrice}`);
+        const d = await contract.getDecision(requestId);
+        const score = d.valueScore ? ` (score ${d.valueScore}/100)` : '';
+        console.log(`  verdict: ${VERDICTS[d.verdict]}${score}, reason ${REASON_CODES[d.reasonCode]}`);
+      }
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Cancel a request the oracle did not fulfill before its deadline (refunds escrow)
+program
+  .command('cancel')
+  .argument('<requestId>', 'Purchase request ID')
+  .action(async (requestId) => {
+    try {
+      const contract = await getContract();
+      const tx = await contract.cancelRequest(requestId);
+      console.log(`tx: ${tx.hash}`);
+
+      const receipt = await tx.wait();
+      console.log(`cancelled in block ${receipt.blockNumber}`);
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Reclaim escrowed funds for a request the oracle never fulfilled
+program
+  .command('refund')
+  .argument('<requestId>', 'Escrowed purchase request ID')
+  .action(async (requestId) => {
     try {
-      const contract = getContract();
-      const tx = await contract.revealPurchase(requestId, itemId, ethers.parseUnits(opts.price, 0), opts.seller, opts.salt);
+      const contract = await getContract();
+      const tx = await contract.refundEscrow(requestId);
       console.log(`tx: ${tx.hash}`);
 
       const receipt = await tx.wait();
-      console.log(`revealed in block ${receipt.blockNumber}`);
+      console.log(`refunded in block ${receipt.blockNumber}`);
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Spending policy for an agent wallet (sent by the owner or the agent's controller).
+// Flags are set as given, omitted limits keep their current value. Without
+// options, prints the current policy and spend.
+const RULE = { none: 0, allow: 1, block: 2 };
+const collect = (value, list) => list.concat(value);
+
+program
+  .command('policy')
+  .argument('<agent>', 'Agent wallet address')
+  .option('--max <amount>', 'Max single purchase (0 = unlimited)')
+  .option('--daily <amount>', 'Rolling 24h limit (0 = unlimited)')
+  .option('--weekly <amount>', 'Rolling 7-day limit (0 = unlimited)')
+  .option('--sellers-allowlist', 'Only allow sellers marked with --allow-seller')
+  .option('--no-sellers-allowlist', 'Allow any seller that is not blocked')
+  .option('--categories-allowlist', 'Only allow categories marked with --allow-category')
+  .option('--no-categories-allowlist', 'Allow any category that is not blocked')
+  .option('--allow-confidential', 'Permit confidential purchases (limits cannot be checked)')
+  .option('--no-allow-confidential', 'Block confidential purchases')
+  .option('--allow-seller <id>', 'Allow a seller (repeatable)', collect, [])
+  .option('--block-seller <id>', 'Block a seller (repeatable)', collect, [])
+  .option('--allow-category <name>', 'Allow an item category, e.g. laptop (repeatable)', collect, [])
+  .option('--block-category <name>', 'Block an item category (repeatable)', collect, [])
+  .option('--disable', 'Remove the policy')
+  .action(async (agent, opts) => {
+    try {
+      const contract = await getContract();
+      // Settings not given on the command line keep their current value
+      const given = ['max', 'daily', 'weekly', 'sellersAllowlist', 'categoriesAllowlist', 'allowConfidential']
+        .some(name => opts[name] !== undefined);
+
+      if (given || opts.disable) {
+        const current = await contract.policies(agent);
+        const amount = (v, fallback) => v === undefined ? fallback : ethers.parseUnits(v, 0);
+        const flag = (v, fallback) => v === undefined ? fallback : v;
+        const tx = await contract.setPolicy(agent, {
+          active: !opts.disable,
+          allowConfidential: flag(opts.allowConfidential, current.allowConfidential),
+          sellerAllowlistOnly: flag(opts.sellersAllowlist, current.sellerAllowlistOnly),
+          categoryAllowlistOnly: flag(opts.categoriesAllowlist, current.categoryAllowlistOnly),
+          maxPurchase: amount(opts.max, current.maxPurchase),
+          dailyLimit: amount(opts.daily, current.dailyLimit),
+          weeklyLimit: amount(opts.weekly, current.weeklyLimit)
+        });
+        await tx.wait();
+        console.log(`policy ${opts.disable ? 'removed' : 'set'}: ${tx.hash}`);
+      }
+
+      const rules = [
+        ...opts.allowSeller.map(id => ['setSellerRule', id, RULE.allow]),
+        ...opts.blockSeller.map(id => ['setSellerRule', id, RULE.block]),
+        ...opts.allowCategory.map(c => ['setCategoryRule', c, RULE.allow]),
+        ...opts.blockCategory.map(c => ['setCategoryRule', c, RULE.block])
+      ];
+      for (const [fn, key, rule] of rules) {
+        await (await contract[fn](agent, key, rule)).wait();
+        console.log(`${fn === 'setSellerRule' ? 'seller' : 'category'} ${key}: ${rule === RULE.allow ? 'allowed' : 'blocked'}`);
+      }
+
+      const p = await contract.policies(agent);
+      const [daily, weekly] = await contract.spentInWindows(agent);
+      const fmt = (v) => v === 0n ? 'unlimited' : v.toString();
+      console.log(`\nPolicy for ${agent}: ${p.active ? 'active' : 'none'}`);
+      if (p.active) {
+        console.log(`  max purchase: ${fmt(p.maxPurchase)}`);
+        console.log(`  daily: ${daily}/${fmt(p.dailyLimit)}  weekly: ${weekly}/${fmt(p.weeklyLimit)}`);
+        console.log(`  seller allowlist only: ${p.sellerAllowlistOnly}  category allowlist only: ${p.categoryAllowlistOnly}`);
+        console.log(`  confidential purchases: ${p.allowConfidential ? 'allowed' : 'blocked'}`);
+      }
+    } catch (err) {
+      console.error(`Failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// The API only hands an encrypted result to the intent's requester, so sign a fresh challenge
+async function fetchEncryptedResult(intentHash) {
+  const network = resolveNetwork(program.opts().network);
+  if (!network.privateKey) throw new Error('PRIVATE_KEY not set in .env');
+  const wallet = new ethers.Wallet(network.privateKey);
+  const signedAt = String(Math.floor(Date.now() / 1000));
+
+  const api = apiConfig();
+  const res = await fetch(`${api.url}/evaluate-confidential/${intentHash}`, {
+    headers: {
+      ...api.headers,
+      'X-Signed-At': signedAt,
+      'X-Requester-Signature': await wallet.signMessage(resultMessage(intentHash, signedAt))
+    }
+  });
+  if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+  return (await res.json()).encrypted;
+}
+
+// Decrypt a confidential evaluation result with the key registered with its intent
+program
+  .command('decrypt')
+  .argument('<source>', 'Intent hash (fetched from the API), envelope JSON file, or base64 ciphertext')
+  .option('-k, --key <hex>', 'AES-256 result key (defaults to the intent\'s key in the vault)')
+  .option('-i, --intent <hash>', 'Intent hash the ciphertext is bound to (for bare ciphertexts)')
+  .action(async (source, opts) => {
+    try {
+      let envelope;
+      if (ethers.isHexString(source, 32)) {
+        envelope = await fetchEncryptedResult(source);
+      } else if (fs.existsSync(source)) {
+        const parsed = JSON.parse(fs.readFileSync(source, 'utf8'));
+        envelope = parsed.encrypted || parsed;
+      } else {
+        envelope = source;
+      }
+
+      let keyHex = opts.key;
+      if (!keyHex) {
+        const intentHash = (opts.intent || envelope.intentHash || '').toLowerCase();
+        if (!intentHash) throw new Error('Pass --key, or --intent to find the key in the vault');
+        const entry = (await unlockVault()).entries.find(e => e.intentHash.toLowerCase() === intentHash);
+        if (!entry?.resultKey) throw new Error(`No result key for intent ${intentHash} in the vault; pass --key`);
+        keyHex = entry.resultKey;
+      }
+
+      const result = decryptPayload(envelope, parseKey(keyHex), opts.intent);
+      console.log(JSON.stringify(result, null, 2));
     } catch (err) {
       console.error(`Failed: ${err.message}`);
       process.exit(1);
@@ -127,9 +548,10 @@ program
   });
 
 // Submit review
+// Confidential purchases can be reviewed too; before the reveal the review stays unlinked
 program
   .command('review')
-  .argument('<requestId>', 'Purchase request ID (bytes32 hash)')
+  .argument('<requestId>', 'Purchase request ID (bytes32 hash), standard or confidential')
   .option('-q, --quality <n>', 'Quality rating 1-5', '5')
   .option('-d, --delivery <n>', 'Delivery rating 1-5', '4')
   .option('-v, --value <n>', 'Value rating 1-5', '5')
@@ -139,13 +561,20 @@ program
     console.log(`  quality=${opts.quality} delivery=${opts.delivery} value=${opts.value}`);
 
     try {
-      const contract = getContract();
+      const contract = await getContract();
+      const standard = await contract.getRequest(requestId);
+      const confidential = standard.requester === ethers.ZeroAddress ? await contract.getConfidentialRequest(requestId) : null;
+
       const tx = await contract.submitReview(requestId, opts.quality, opts.delivery, opts.value, opts.comment);
       console.log(`tx: ${tx.hash}`);
 
       const receipt = await tx.wait();
       console.log(`confirmed in block ${receipt.blockNumber}`);
-      console.log('Review submitted onchain');
+      if (confidential && !confidential.revealed) {
+        console.log('Review stored unlinked: it counts for the item and seller once you reveal the purchase');
+      } else {
+        console.log('Review submitted onchain');
+      }
     } catch (err) {
       console.error(`Failed: ${err.message}`);
       process.exit(1);
@@ -0,0 +1,93 @@
+// Encrypted local vault of confidential-purchase intents, so the salt revealPurchase
+// needs is never lost. The file holds one AES-256-GCM envelope (see api/encryption)
+// under a key derived from the vault password with scrypt; each save re-salts it.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { encryptPayload, decryptPayload } = require('../api/encryption');
+
+const VERSION = 1;
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+function vaultPath() {
+  return process.env.VAULT_PATH || path.join(os.homedir(), '.valueoracle', 'vault.json');
+}
+
+function deriveKey(password, salt, params = SCRYPT) {
+  return crypto.scryptSync(String(password), salt, 32, params);
+}
+
+function load(file, password) {
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data.version !== VERSION) throw new Error(`Unsupported vault version ${data.version}`);
+
+  const { salt, N, r, p } = data.kdf;
+  const key = deriveKey(password, Buffer.from(salt, 'hex'), { N, r, p });
+  try {
+    return decryptPayload(data, key).entries;
+  } catch {
+    throw new Error('Wrong vault password or corrupted vault');
+  }
+}
+
+// Written to a temp file and renamed, so an interrupted save never truncates the vault
+function save(file, password, entries) {
+  const salt = crypto.randomBytes(16);
+  const envelope = encryptPayload({ entries }, deriveKey(password, salt));
+  const data = { version: VERSION, kdf: { name: 'scrypt', salt: salt.toString('hex'), ...SCRYPT }, ...envelope };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// Entries: { requestId, intentHash, itemId, price, sellerId, salt, resultKey, requester,
+// contract, network, createdAt, revealedAt, revealTx }. requestId stays null until the request is mined.
+function openVault(password, file = vaultPath()) {
+  const entries = load(file, password);
+  return {
+    file,
+    entries,
+    pending: () => entries.filter(e => !e.revealedAt),
+    find: (requestId) => entries.find(e => e.requestId && e.requestId.toLowerCase() === requestId.toLowerCase()),
+    add: (entry) => { entries.push({ requestId: null, revealedAt: null, ...entry, createdAt: new Date().toISOString() }); },
+    save: () => save(file, password, entries)
+  };
+}
+
+function prompt(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    process.stdout.write(question);
+    rl._writeToOutput = () => {}; // hide what is typed
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// VAULT_PASSWORD for scripts, otherwise prompted (twice when creating the vault)
+async function readPassword(file = vaultPath()) {
+  if (process.env.VAULT_PASSWORD) return process.env.VAULT_PASSWORD;
+  if (!process.stdin.isTTY) throw new Error('VAULT_PASSWORD not set and no terminal to prompt on');
+
+  const password = await prompt('Vault password: ');
+  if (!password) throw new Error('Vault password required');
+  if (!fs.existsSync(file) && (await prompt('Confirm new vault password: ')) !== password) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+async function unlockVault(file = vaultPath()) {
+  return openVault(await readPassword(file), file);
+}
+
+module.exports = { vaultPath, openVault, unlockVault };
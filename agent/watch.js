@@ -0,0 +1,93 @@
+// Waiting for a purchase request's outcome, for `watch` and `buy --wait`. The exit
+// code scripts branch on comes from the request's state onchain, not from whichever
+// event arrived: a CRE report's verdict can still be overridden by a spending policy
+// or a passed deadline.
+
+const { ethers } = require('ethers');
+const { VERDICTS, REASON_CODES } = require('../api/reportCodes');
+
+// Exit codes for `evaluate`, `watch` and `buy --wait`, for scripts to branch on
+const EXIT = { approved: 0, error: 1, rejected: 2, timeout: 3, closed: 4 };
+
+// Any of these ends the wait; ReportReceived is emitted for every CRE report, also
+// when the report only expires the request
+const WATCHED = ['PurchaseApproved', 'PurchaseRejected', 'PurchaseExpired', 'PurchaseCancelled', 'ReportReceived'];
+
+function findEvent(contract, receipt, name) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed?.name === name) return parsed;
+    } catch { /* another contract's log, e.g. an ERC-20 transfer */ }
+  }
+  return null;
+}
+
+// pending | approved | rejected | expired (report after the deadline) | cancelled
+function requestState(req) {
+  if (req.cancelled) return 'cancelled';
+  if (req.expired) return 'expired';
+  if (req.fulfilled) return req.approved ? 'approved' : 'rejected';
+  return Date.now() / 1000 > Number(req.deadline) ? 'pending (past deadline, cancellable)' : 'pending';
+}
+
+// Exit code for a settled request, null while it is pending
+function exitCodeFor(req) {
+  if (req.fulfilled) return req.approved ? EXIT.approved : EXIT.rejected;
+  return req.expired || req.cancelled ? EXIT.closed : null;
+}
+
+// Standard or confidential request
+async function readRequest(contract, requestId) {
+  let req = await contract.getRequest(requestId);
+  if (req.requester === ethers.ZeroAddress) req = await contract.getConfidentialRequest(requestId);
+  if (req.requester === ethers.ZeroAddress) throw new Error('Request not found');
+  return req;
+}
+
+// Waits for the request's outcome and returns its exit code. Subscribes before reading
+// the current state, so an outcome landing in between is not missed.
+async function watchRequest(contract, requestId, timeoutSec, log = console.log) {
+  let timer;
+  const outcome = new Promise((resolve) => {
+    for (const name of WATCHED) {
+      contract.once(contract.filters[name](requestId), (...args) => resolve(args[args.length - 1]));
+    }
+    timer = setTimeout(() => resolve(null), timeoutSec * 1000);
+  });
+
+  try {
+    let req = await readRequest(contract, requestId);
+    let code = exitCodeFor(req);
+    if (code !== null) {
+      log(`already ${requestState(req)}`);
+    } else {
+      log(`watching ${requestId} (timeout ${timeoutSec}s)...`);
+      const seen = await outcome;
+      if (!seen) {
+        log(`no outcome after ${timeoutSec}s`);
+        return EXIT.timeout;
+      }
+
+      const receipt = await seen.log.getTransactionReceipt();
+      const via = findEvent(contract, receipt, 'ReportReceived') ? 'CRE report' : 'direct call';
+      req = await readRequest(contract, requestId);
+      log(`  ${requestState(req)} in tx ${receipt.hash} (${via})`);
+      const rejected = findEvent(contract, receipt, 'PurchaseRejected');
+      if (rejected) log(`  reason: ${rejected.args.reason}`);
+      code = exitCodeFor(req) ?? EXIT.error;
+    }
+
+    if (code === EXIT.approved || code === EXIT.rejected) {
+      const d = await contract.getDecision(requestId);
+      const score = d.valueScore ? ` (score ${d.valueScore}/100)` : '';
+      log(`  verdict: ${VERDICTS[d.verdict]}${score}, reason ${REASON_CODES[d.reasonCode]}`);
+    }
+    return code;
+  } finally {
+    clearTimeout(timer);
+    await contract.removeAllListeners();
+  }
+}
+
+module.exports = { EXIT, WATCHED, findEvent, requestState, exitCodeFor, watchRequest };
@@ -0,0 +1,92 @@
+// EIP-712 decision attestations — the engine signs each decision so an agent
+// can later prove what the oracle said, offchain or via PurchaseGuard.verifyAttestation.
+// Each attestation names the PurchaseGuard request it was made for; without a
+// requestId it is signed for the zero id and cannot settle anything onchain.
+
+const { ethers } = require('ethers');
+const { resolveNetwork } = require('./networks');
+
+const DOMAIN_NAME = 'ValueOracle';
+const DOMAIN_VERSION = '1';
+
+const TYPES = {
+  Decision: [
+    { name: 'requestId', type: 'bytes32' },
+    { name: 'itemId', type: 'string' },
+    { name: 'price', type: 'uint256' },
+    { name: 'sellerId', type: 'string' },
+    { name: 'verdict', type: 'string' },
+    { name: 'valueScore', type: 'uint256' },
+    { name: 'referencePrice', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'engineVersion', type: 'string' }
+  ]
+};
+
+let signer = null;
+let signerKey = null;
+
+function getSigner() {
+  const key = process.env.ATTESTATION_PRIVATE_KEY;
+  if (!key) return null;
+  if (key !== signerKey) {
+    signer = new ethers.Wallet(key);
+    signerKey = key;
+  }
+  return signer;
+}
+
+// Bound to PurchaseGuard on the API's network (--network / NETWORK); CHAIN_ID overrides the chain
+function getDomain() {
+  const network = resolveNetwork();
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: Number(process.env.CHAIN_ID || network.chainId),
+    verifyingContract: network.contract || ethers.ZeroAddress
+  };
+}
+
+// Prices are attested in whole units, matching PurchaseGuard's uint256 prices
+function buildMessage({ requestId, itemId, price, sellerId, verdict, valueScore, referencePrice, engineVersion, timestamp }) {
+  return {
+    requestId: requestId || ethers.ZeroHash,
+    itemId,
+    price: Math.round(price),
+    sellerId,
+    verdict,
+    valueScore: Math.round(valueScore),
+    referencePrice: Math.round(referencePrice),
+    timestamp: timestamp ?? Math.floor(Date.now() / 1000),
+    engineVersion
+  };
+}
+
+// Returns null when no ATTESTATION_PRIVATE_KEY is configured
+async function signDecision(decision) {
+  const wallet = getSigner();
+  if (!wallet) return null;
+
+  const domain = getDomain();
+  const message = buildMessage(decision);
+  const signature = await wallet.signTypedData(domain, TYPES, message);
+  return { domain, message, signature, signer: wallet.address };
+}
+
+// Recovers the signer of an attestation; pass expectedSigner to also check it
+function verifyAttestation({ domain, message, signature }, expectedSigner) {
+  let recovered;
+  try {
+    recovered = ethers.verifyTypedData(domain, TYPES, message, signature);
+  } catch {
+    return { valid: false, signer: null };
+  }
+  const valid = !expectedSigner || recovered.toLowerCase() === expectedSigner.toLowerCase();
+  return { valid, signer: recovered };
+}
+
+function signerAddress() {
+  return getSigner()?.address || null;
+}
+
+module.exports = { TYPES, getDomain, buildMessage, signDecision, verifyAttestation, signerAddress };
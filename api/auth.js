@@ -0,0 +1,187 @@
+// API key authentication, per-key rate limits and daily evaluation quotas.
+//
+// Keys carry scopes:
+//   evaluate — /evaluate, intents, reviews, price history, attestations
+//   cre      — CRE-only routes: /evaluate-confidential, intent lookups
+//   admin    — decision audit log and key management
+//
+// ADMIN_API_KEY and CRE_API_KEY (the workflow's `marketplaceApiKey` Vault secret)
+// are static bootstrap keys without limits; further keys are issued through
+// /admin/keys and stored hashed. API_AUTH=off disables checks for local demos.
+
+const crypto = require('crypto');
+const { openCollection } = require('./store');
+
+const SCOPES = ['evaluate', 'cre', 'admin'];
+const DEFAULT_RATE_LIMIT = 60;    // requests per minute
+const DEFAULT_DAILY_QUOTA = 1000; // evaluations per UTC day
+const WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const windows = new Map();
+
+// Opened per call (the store caches them per DATA_DIR), so a changed DATA_DIR takes effect
+function keyCollection() {
+  return openCollection('api-keys');
+}
+
+function usageCollection() {
+  return openCollection('api-usage');
+}
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function staticKey(token) {
+  const { ADMIN_API_KEY, CRE_API_KEY } = process.env;
+  if (ADMIN_API_KEY && safeEqual(token, ADMIN_API_KEY)) {
+    return { id: 'admin', name: 'ADMIN_API_KEY', scopes: SCOPES, rateLimit: null, dailyQuota: null };
+  }
+  if (CRE_API_KEY && safeEqual(token, CRE_API_KEY)) {
+    return { id: 'cre', name: 'CRE_API_KEY', scopes: ['cre', 'evaluate'], rateLimit: null, dailyQuota: null };
+  }
+  return null;
+}
+
+function findKey(token) {
+  if (!token) return null;
+  const fixed = staticKey(token);
+  if (fixed) return fixed;
+  const record = keyCollection().get(hashKey(token));
+  return record && !record.revokedAt ? record : null;
+}
+
+function publicView({ keyHash, ...record }) {
+  return record;
+}
+
+// The plaintext key is only returned here, once
+function issueKey({ name, scopes = ['evaluate'], rateLimit = DEFAULT_RATE_LIMIT, dailyQuota = DEFAULT_DAILY_QUOTA } = {}) {
+  if (!name) throw fail(400, 'Missing field: name');
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !SCOPES.includes(s))) {
+    throw fail(400, `scopes must be a non-empty subset of: ${SCOPES.join(', ')}`);
+  }
+  if (!(Number.isInteger(rateLimit) && rateLimit > 0) || !(Number.isInteger(dailyQuota) && dailyQuota > 0)) {
+    throw fail(400, 'rateLimit and dailyQuota must be positive integers');
+  }
+
+  const key = `vo_${crypto.randomBytes(24).toString('base64url')}`;
+  const keyHash = hashKey(key);
+  const record = keyCollection().put(keyHash, {
+    id: crypto.randomBytes(6).toString('hex'),
+    keyHash,
+    name,
+    scopes,
+    rateLimit,
+    dailyQuota,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  });
+  return { ...publicView(record), key };
+}
+
+function listKeys() {
+  return keyCollection().values().map(publicView);
+}
+
+function revokeKey(id) {
+  const record = keyCollection().values().find(r => r.id === id);
+  if (!record) return null;
+  if (record.revokedAt) return publicView(record);
+  return publicView(keyCollection().put(record.keyHash, { ...record, revokedAt: new Date().toISOString() }));
+}
+
+// Fixed one-minute window per key; returns seconds until the window resets when exceeded
+function checkRateLimit(key, res) {
+  if (!key.rateLimit) return 0;
+  const now = Date.now();
+  let w = windows.get(key.id);
+  if (!w || now - w.start >= WINDOW_MS) {
+    w = { start: now, count: 0 };
+    windows.set(key.id, w);
+  }
+  w.count++;
+
+  res.set('X-RateLimit-Limit', String(key.rateLimit));
+  res.set('X-RateLimit-Remaining', String(Math.max(key.rateLimit - w.count, 0)));
+  return w.count > key.rateLimit ? Math.ceil((w.start + WINDOW_MS - now) / 1000) : 0;
+}
+
+// Counts one evaluation against the key's UTC-day quota
+function checkDailyQuota(key, res) {
+  if (!key.dailyQuota) return 0;
+  const now = Date.now();
+  const day = new Date(now).toISOString().slice(0, 10);
+  const id = `${key.id}:${day}`;
+  const used = usageCollection().get(id)?.count || 0;
+
+  res.set('X-Quota-Limit', String(key.dailyQuota));
+  if (used >= key.dailyQuota) {
+    res.set('X-Quota-Remaining', '0');
+    return Math.ceil((Math.floor(now / DAY_MS + 1) * DAY_MS - now) / 1000);
+  }
+  usageCollection().put(id, { keyId: key.id, day, count: used + 1 });
+  res.set('X-Quota-Remaining', String(key.dailyQuota - used - 1));
+  return 0;
+}
+
+function tooMany(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+// Route guard for a scope; also applies the key's rate limit
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (process.env.API_AUTH === 'off') return next();
+
+    const key = findKey(bearerToken(req));
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer realm="valueoracle"');
+      return res.status(401).json({ error: 'Missing or invalid API key', hint: 'Send Authorization: Bearer <api key>' });
+    }
+    if (!key.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+    }
+
+    const rateRetry = checkRateLimit(key, res);
+    if (rateRetry) return tooMany(res, rateRetry, `Rate limit of ${key.rateLimit} requests/minute exceeded`);
+
+    req.apiKey = key;
+    next();
+  };
+}
+
+// Charges one evaluation against the caller's daily quota. Routes call it once the
+// request is validated, so malformed requests cost nothing. Returns false after
+// answering 429 when the quota is exhausted.
+function chargeEvaluation(req, res) {
+  if (!req.apiKey) return true;
+  const quotaRetry = checkDailyQuota(req.apiKey, res);
+  if (quotaRetry) {
+    tooMany(res, quotaRetry, `Daily quota of ${req.apiKey.dailyQuota} evaluations exhausted`);
+    return false;
+  }
+  return true;
+}
+
+module.exports = { SCOPES, bearerToken, requireScope, chargeEvaluation, issueKey, listKeys, revokeKey };
@@ -0,0 +1,96 @@
+// Decision audit log — every evaluation is persisted with its inputs, the
+// market snapshot it saw and the engine configuration in force, so "why did
+// our agent buy this?" can be answered (and replayed) after the fact.
+
+const crypto = require('crypto');
+const { openCollection } = require('./store');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Opened per call (the store caches it per DATA_DIR), so a changed DATA_DIR takes effect
+function collection() {
+  return openCollection('decisions');
+}
+
+// Standard evaluation; request: { itemId, price, sellerId, snapshotId? }
+function saveDecision({ request, snapshot, config, result, aiAnalysis = null, attestation = null }) {
+  const id = crypto.randomUUID();
+  return collection().put(id, {
+    id,
+    kind: 'standard',
+    createdAt: new Date().toISOString(),
+    engineVersion: config.version,
+    request,
+    snapshot,
+    config,
+    result: {
+      approved: result.approved,
+      verdict: result.verdict,
+      valueScore: result.valueScore,
+      referencePrice: result.referencePrice,
+      effectivePrice: Math.round(result.effectivePrice),
+      reason: result.reason,
+      reasonCode: result.reasonCode,
+      breakdown: result.breakdown,
+      outlierCount: result.outlierCount,
+      freshness: result.freshness,
+      history: result.history
+    },
+    aiAnalysis,
+    attestation
+  });
+}
+
+// Confidential evaluation: only the intent hash, its (onchain) requester, the outcome
+// that goes onchain anyway and the requester's AES-GCM envelope (when one was produced) are kept. Item, price,
+// seller and the market snapshot would reveal the intent, so they never reach the log.
+function saveConfidentialDecision({ intentHash, requester = null, config, approved, encrypted = null }) {
+  const id = crypto.randomUUID();
+  return collection().put(id, {
+    id,
+    kind: 'confidential',
+    createdAt: new Date().toISOString(),
+    engineVersion: config.version,
+    request: { intentHash: intentHash.toLowerCase(), requester },
+    config,
+    result: { approved },
+    encrypted
+  });
+}
+
+function getDecision(id) {
+  return collection().get(id) || null;
+}
+
+// Newest first; every filter is optional
+function listDecisions({ itemId, sellerId, verdict, kind, since, until, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  const from = since ? Date.parse(since) : -Infinity;
+  const to = until ? Date.parse(until) : Infinity;
+
+  const matches = collection().values()
+    .filter(d =>
+      (!itemId || d.request.itemId === itemId) &&
+      (!sellerId || d.request.sellerId === sellerId) &&
+      (!verdict || d.result.verdict === verdict) &&
+      (!kind || d.kind === kind) &&
+      Date.parse(d.createdAt) >= from &&
+      Date.parse(d.createdAt) <= to)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return {
+    total: matches.length,
+    decisions: matches.slice(Number(offset) || 0, (Number(offset) || 0) + size)
+  };
+}
+
+// Latest encrypted confidential decision for an intent
+function findEncrypted(intentHash) {
+  const hash = intentHash.toLowerCase();
+  return collection().values()
+    .filter(d => d.encrypted && d.request.intentHash === hash)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+}
+
+module.exports = { saveDecision, saveConfidentialDecision, getDecision, listDecisions, findEncrypted };
@@ -0,0 +1,64 @@
+// AES-256-GCM payload encryption for confidential results. Each result is
+// encrypted under the key its requester registered with the intent, so one agent
+// cannot read another's results; ciphertexts are base64(nonce || ciphertext || tag) and bound to the
+// intent hash as additional authenticated data, so a result cannot be replayed
+// under another intent.
+
+const crypto = require('crypto');
+
+const ALG = 'AES-256-GCM';
+const NONCE_BYTES = 12;
+const TAG_BYTES = 16;
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// 32-byte key as hex, with or without 0x
+function parseKey(hex) {
+  const clean = String(hex || '').replace(/^0x/i, '');
+  if (!/^[0-9a-fA-F]{64}$/.test(clean)) throw fail(500, 'AES key must be 32 bytes of hex');
+  return Buffer.from(clean, 'hex');
+}
+
+function aadFor(intentHash) {
+  return intentHash ? Buffer.from(intentHash.toLowerCase()) : null;
+}
+
+function encryptPayload(payload, key, intentHash) {
+  const nonce = crypto.randomBytes(NONCE_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  const aad = aadFor(intentHash);
+  if (aad) cipher.setAAD(aad);
+
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return {
+    alg: ALG,
+    intentHash: intentHash ? intentHash.toLowerCase() : null,
+    ciphertext: Buffer.concat([nonce, ciphertext, cipher.getAuthTag()]).toString('base64')
+  };
+}
+
+// Accepts an envelope from encryptPayload or a bare base64 ciphertext
+function decryptPayload(envelope, key, intentHash) {
+  const { ciphertext, intentHash: bound } = typeof envelope === 'string' ? { ciphertext: envelope } : envelope;
+  const raw = Buffer.from(ciphertext || '', 'base64');
+  if (raw.length <= NONCE_BYTES + TAG_BYTES) throw fail(400, 'Ciphertext too short');
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, NONCE_BYTES));
+  decipher.setAuthTag(raw.subarray(raw.length - TAG_BYTES));
+  const aad = aadFor(intentHash || bound);
+  if (aad) decipher.setAAD(aad);
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(raw.subarray(NONCE_BYTES, raw.length - TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw fail(400, 'Decryption failed: wrong key, intent hash or tampered ciphertext');
+  }
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = { ALG, parseKey, encryptPayload, decryptPayload };
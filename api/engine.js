@@ -0,0 +1,237 @@
+// Decision engine — gathers market data for a purchase and scores it.
+// Scoring is a pure function of the gathered snapshot, so stored decisions
+// can be replayed under the current engine version.
+
+const registry = require('./sources/registry');
+const sellerScore = require('./sources/sellerScore');
+const { computeReferencePrice } = require('./referencePrice');
+const priceHistory = require('./priceHistory');
+
+// Bump whenever scoring behaviour changes; recorded with every decision
+const ENGINE_VERSION = '1.2.1';
+
+// How far back an asOf snapshot may reach for a source's last quote
+const AS_OF_LOOKBACK = 24 * 60 * 60 * 1000;
+
+const WEIGHTS = {
+  priceFairness: 0.35,
+  qualitySignal: 0.25,
+  sellerTrust: 0.25,
+  valueRatio: 0.15
+};
+
+const THRESHOLDS = {
+  approve: 70,
+  caution: 40,
+  minLiveSources: Number(process.env.MIN_LIVE_SOURCES || 2)
+};
+
+// Outlier rejection for the reference price ('mad' or 'iqr')
+const REFERENCE_PRICE = {
+  method: process.env.OUTLIER_METHOD || 'mad'
+};
+
+// Flag effective prices this far above the item's trailing median
+const PRICE_HISTORY = {
+  days: 30,
+  anomalyThreshold: Number(process.env.PRICE_ANOMALY_THRESHOLD || 0.25)
+};
+
+// Agent reviews of the item blend into qualitySignal: 10% per weighted review, up to 30%
+const ITEM_REVIEWS = { perReview: 0.1, maxWeight: 0.3 };
+
+// How much a quote of each provenance counts towards decision confidence
+const PROVENANCE_CONFIDENCE = { live: 1, cached: 0.5, fallback: 0.1 };
+
+// Summarize source provenance; fewer than minLiveSources live quotes means the reference
+// price may be stale, however few sources answered at all
+function assessFreshness(sources) {
+  const count = (p) => sources.filter(s => s.provenance === p).length;
+  const live = count('live');
+  const confidence = sources.reduce((sum, s) => sum + (PROVENANCE_CONFIDENCE[s.provenance] ?? 0), 0) / sources.length;
+  return {
+    live,
+    cached: count('cached'),
+    fallback: count('fallback'),
+    total: sources.length,
+    confidence: +confidence.toFixed(2),
+    stale: live < THRESHOLDS.minLiveSources
+  };
+}
+
+// Compare against the item's own history — catches market-wide price jumps
+function assessPriceHistory(effectivePrice, stats) {
+  if (!stats) return { trailingMedian: null, samples: 0, deviation: null, anomaly: false };
+  const deviation = (effectivePrice - stats.median) / stats.median;
+  return {
+    trailingMedian: stats.median,
+    samples: stats.samples,
+    days: stats.days,
+    deviation: +(deviation * 100).toFixed(1),
+    anomaly: deviation > PRICE_HISTORY.anomalyThreshold
+  };
+}
+
+function clamp(val, min = 0, max = 100) {
+  return Math.max(min, Math.min(max, val));
+}
+
+function calculateValueScore({ proposedPrice, referencePrice, historicalPrice, rating, reviewCount, returnRate, sellerScoreVal, itemReviewStats }) {
+  // An anomalous market is judged against the item's trailing median instead
+  const fairPrice = historicalPrice ? Math.min(referencePrice, historicalPrice) : referencePrice;
+  const priceRatio = fairPrice / Math.max(proposedPrice, 1);
+  const priceFairness = clamp(priceRatio * 100);
+
+  const ratingScore = (rating / 5) * 50;
+  const reviewScore = clamp(reviewCount / 10000, 0, 1) * 30;
+  const returnScore = clamp((20 - returnRate) / 20, 0, 1) * 20;
+  const listingQuality = ratingScore + reviewScore + returnScore;
+
+  // Post-purchase experience from agents, blended like seller reviews into trust
+  const agentWeight = itemReviewStats
+    ? Math.min(itemReviewStats.effectiveCount * ITEM_REVIEWS.perReview, ITEM_REVIEWS.maxWeight)
+    : 0;
+  const agentQuality = itemReviewStats ? (itemReviewStats.overall / 5) * 100 : 0;
+  const qualitySignal = listingQuality * (1 - agentWeight) + agentQuality * agentWeight;
+
+  const sellerTrust = sellerScoreVal * 100;
+
+  const qualityPerDollar = (rating * 20) / (proposedPrice / referencePrice);
+  const valueRatio = clamp(qualityPerDollar);
+
+  const raw =
+    priceFairness * WEIGHTS.priceFairness +
+    qualitySignal * WEIGHTS.qualitySignal +
+    sellerTrust * WEIGHTS.sellerTrust +
+    valueRatio * WEIGHTS.valueRatio;
+
+  return {
+    valueScore: clamp(Math.round(raw)),
+    breakdown: {
+      priceFairness: Math.round(priceFairness),
+      qualitySignal: Math.round(qualitySignal),
+      sellerTrust: Math.round(sellerTrust),
+      valueRatio: Math.round(valueRatio)
+    }
+  };
+}
+
+// Returns { code, text }: code is one of REASON_CODES (reportCodes.js), text is for humans
+function buildReason(approved, breakdown, deviation, seller, productData, valueScore, sellerBlocked, freshness, history, itemReviews) {
+  if (sellerBlocked) return { code: 'SELLER_BLOCKED', text: `Seller trust critically low (${seller.score.toFixed(2)}/1.0) — blocked` };
+  if (approved) return { code: 'FAIR_PRICE', text: 'Fair price and trusted seller' };
+  if (freshness.stale && valueScore >= THRESHOLDS.approve) {
+    return { code: 'STALE_PRICES', text: `Only ${freshness.live}/${freshness.total} live price sources — reference price may be stale` };
+  }
+  if (history.anomaly) {
+    return { code: 'PRICE_ANOMALY', text: `Price ${history.deviation}% above ${history.days}-day median ($${history.trailingMedian})` };
+  }
+  if (breakdown.priceFairness < 50) return { code: 'PRICE_ABOVE_MARKET', text: `Price ${deviation}% above market median` };
+  if (breakdown.sellerTrust < 50) return { code: 'LOW_SELLER_TRUST', text: `Seller trust too low (${seller.score.toFixed(2)}/1.0)` };
+  if (breakdown.qualitySignal < 40) {
+    const agents = itemReviews ? `, agents ${itemReviews.overall}/5` : '';
+    return { code: 'LOW_QUALITY', text: `Low product quality (${productData.rating}/5, ${productData.returnRate}% returns${agents})` };
+  }
+  return { code: 'LOW_VALUE_SCORE', text: `Value score ${valueScore}/100 below threshold` };
+}
+
+// Everything scoring depends on, captured at evaluation time.
+// Returns null when no marketplace knows the item.
+async function gatherSnapshot({ itemId, sellerId }) {
+  const startedAt = Date.now();
+  const [sources, seller] = await Promise.all([
+    registry.fetchPrices(itemId),
+    sellerScore.getScore(sellerId)
+  ]);
+
+  if (sources.length === 0) return null;
+
+  return {
+    sources,
+    seller,
+    productData: registry.getProductData(itemId),
+    dealData: registry.getDealData(itemId),
+    itemReviews: sellerScore.getItemReviewStats(itemId),
+    historyStats: priceHistory.trailingStats(itemId, { days: PRICE_HISTORY.days, before: startedAt })
+  };
+}
+
+// Snapshot pinned to a past moment: each source's latest recorded quote at or
+// before `asOf` (ms), from the local price history. Seller and review data are read now.
+async function gatherSnapshotAsOf({ itemId, sellerId }, asOf) {
+  const sources = registry.getSources().map(s => {
+    const samples = priceHistory.getHistory(itemId, { since: asOf - AS_OF_LOOKBACK, until: asOf, source: s.name });
+    const last = samples[samples.length - 1];
+    if (!last) return null;
+    const at = new Date(last.ts).toISOString();
+    return { name: s.name, price: last.price, weight: s.weight, provenance: last.provenance, fetchedAt: at, asOf: at };
+  }).filter(Boolean);
+
+  if (sources.length === 0) return null;
+
+  return {
+    sources,
+    seller: await sellerScore.getScore(sellerId),
+    productData: registry.getProductData(itemId),
+    dealData: registry.getDealData(itemId),
+    itemReviews: sellerScore.getItemReviewStats(itemId),
+    historyStats: priceHistory.trailingStats(itemId, { days: PRICE_HISTORY.days, before: asOf })
+  };
+}
+
+function scoreDecision({ price }, snapshot) {
+  const { sources, seller, productData, dealData, historyStats } = snapshot;
+  const itemReviews = snapshot.itemReviews || null; // absent in snapshots stored before 1.2.0
+
+  const { referencePrice, sources: pricedSources, outlierCount } = computeReferencePrice(sources, REFERENCE_PRICE);
+  const freshness = assessFreshness(sources);
+
+  // Effective price after deals
+  const effectivePrice = price - dealData.cashback - dealData.coupon + dealData.shippingFee;
+  const history = assessPriceHistory(effectivePrice, historyStats);
+
+  const { valueScore, breakdown } = calculateValueScore({
+    proposedPrice: effectivePrice,
+    referencePrice,
+    historicalPrice: history.anomaly ? history.trailingMedian : null,
+    rating: productData.rating,
+    reviewCount: productData.reviewCount,
+    returnRate: productData.returnRate,
+    sellerScoreVal: seller.score,
+    itemReviewStats: itemReviews
+  });
+
+  // Block low-trust sellers regardless of score; never approve against stale prices
+  const sellerBlocked = seller.score < 0.4;
+  const approved = !sellerBlocked && !freshness.stale && !history.anomaly && valueScore >= THRESHOLDS.approve;
+  const verdict = approved ? 'APPROVE' : valueScore >= THRESHOLDS.caution ? 'CAUTION' : 'REJECT';
+  const deviation = ((effectivePrice - referencePrice) / referencePrice * 100).toFixed(1);
+  const { code: reasonCode, text: reason } =
+    buildReason(approved, breakdown, deviation, seller, productData, valueScore, sellerBlocked, freshness, history, itemReviews);
+
+  return {
+    approved, verdict, valueScore, referencePrice, reason, reasonCode, breakdown,
+    sources: pricedSources, outlierCount, freshness, history,
+    effectivePrice, seller, productData, dealData, itemReviews
+  };
+}
+
+async function assessPurchase(request) {
+  const snapshot = await gatherSnapshot(request);
+  if (!snapshot) return null;
+  return { ...scoreDecision(request, snapshot), snapshot };
+}
+
+// Weights and thresholds in force, recorded alongside each decision
+function engineConfig() {
+  return {
+    version: ENGINE_VERSION,
+    weights: WEIGHTS,
+    thresholds: THRESHOLDS,
+    referencePrice: REFERENCE_PRICE,
+    priceHistory: PRICE_HISTORY,
+    itemReviews: ITEM_REVIEWS
+  };
+}
+
+module.exports = { ENGINE_VERSION, gatherSnapshot, gatherSnapshotAsOf, scoreDecision, assessPurchase, engineConfig, calculateValueScore };
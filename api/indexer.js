@@ -0,0 +1,360 @@
+// PurchaseGuard event indexer. Follows the contract's logs into a local store so
+// seller/item reviews and request outcomes (pending, approved, rejected, expired,
+// cancelled) are answered from memory instead of per-request RPC loops. With a
+// SellerRegistry configured it also follows seller bindings, responses and disputes. The
+// cursor (last indexed block + recent block-hash checkpoints) survives restarts;
+// when a checkpoint's hash no longer matches the chain, events after the newest
+// surviving checkpoint are rolled back and re-indexed.
+
+const { ethers } = require('ethers');
+const { openCollection } = require('./store');
+const { VERDICTS, REASON_CODES } = require('./reportCodes');
+const { resolveNetwork, getProvider } = require('./networks');
+
+const EVENTS_ABI = [
+  'event PurchaseRequested(bytes32 indexed requestId, string itemId, uint256 proposedPrice, string sellerId, address requester)',
+  'event ConfidentialPurchaseRequested(bytes32 indexed requestId, bytes32 intentHash, address requester)',
+  'event ConfidentialPurchaseRevealed(bytes32 indexed requestId, string itemId, uint256 proposedPrice, string sellerId)',
+  'event PurchaseApproved(bytes32 indexed requestId, uint256 referencePrice)',
+  'event PurchaseRejected(bytes32 indexed requestId, uint256 referencePrice, string reason)',
+  'event PurchaseExpired(bytes32 indexed requestId, uint256 deadline)',
+  'event PurchaseCancelled(bytes32 indexed requestId, address requester)',
+  'event DecisionRecorded(bytes32 indexed requestId, uint8 verdict, uint8 reasonCode, uint8 valueScore, uint256 effectivePrice)',
+  'event ReviewSubmitted(bytes32 indexed requestId, string itemId, string sellerId, uint8 quality, uint8 delivery, uint8 value, address reviewer)',
+  'event UnlinkedReviewSubmitted(bytes32 indexed requestId, uint8 quality, uint8 delivery, uint8 value)',
+  // SellerRegistry
+  'event SellerRegistered(string sellerId, address controller)',
+  'event ReviewResponded(bytes32 indexed requestId, string sellerId, string response)',
+  'event DisputeOpened(bytes32 indexed requestId, string sellerId, string reason)',
+  'event DisputeResolved(bytes32 indexed requestId, string sellerId, bool fraudulent, address arbiter)'
+];
+
+// ReviewSubmitted carries no comment, so it is read once from the contract when indexed
+const REVIEW_ABI = [
+  'function getReview(bytes32 requestId) view returns (tuple(bytes32 requestId, address reviewer, uint8 qualityRating, uint8 deliveryRating, uint8 valueRating, string comment, uint256 timestamp))'
+];
+
+const iface = new ethers.Interface(EVENTS_ABI);
+const TOPICS = [iface.fragments.filter(f => f.type === 'event').map(f => f.topicHash)];
+
+const DEFAULT_BATCH_SIZE = 2000;
+const MAX_CHECKPOINTS = 64;
+
+let events = null;
+let state = null;
+let config = null;
+let timer = null;
+let syncing = null;
+let views = null; // derived { requests, reviews, sellers }, rebuilt after every change
+
+function eventCollection() {
+  if (!events) events = openCollection('chain-events');
+  return events;
+}
+
+function stateCollection() {
+  if (!state) state = openCollection('chain-state');
+  return state;
+}
+
+// fromBlock: first block to index (e.g. the deployment block); confirmations: blocks to stay behind head;
+// registry: optional SellerRegistry address, indexed alongside PurchaseGuard
+function configure({ provider, address, registry = null, fromBlock = 0, confirmations = 0, batchSize = DEFAULT_BATCH_SIZE }) {
+  config = {
+    provider, address: ethers.getAddress(address), registry: registry && ethers.getAddress(registry),
+    fromBlock, confirmations, batchSize
+  };
+  views = null;
+
+  // A different contract means a different event history
+  const cursor = stateCollection().get('cursor');
+  if (cursor && (cursor.address !== config.address || (cursor.registry || null) !== config.registry)) {
+    for (const e of eventCollection().values()) eventCollection().delete(e.id);
+    stateCollection().delete('cursor');
+  }
+}
+
+function getCursor() {
+  return stateCollection().get('cursor') || {
+    address: config.address,
+    registry: config.registry,
+    block: config.fromBlock - 1,
+    checkpoints: []
+  };
+}
+
+function decode(log) {
+  const parsed = iface.parseLog(log);
+  if (!parsed) return null;
+  const args = {};
+  for (const [i, input] of parsed.fragment.inputs.entries()) {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === 'bigint' ? Number(value) : value;
+  }
+  return {
+    id: `${log.transactionHash}:${log.index}`,
+    name: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.index,
+    args
+  };
+}
+
+async function reviewComment(requestId) {
+  const guard = new ethers.Contract(config.address, REVIEW_ABI, config.provider);
+  return (await guard.getReview(requestId)).comment;
+}
+
+// Newest checkpoint still on the canonical chain, or null when none survived
+async function commonAncestor(checkpoints) {
+  for (let i = checkpoints.length - 1; i >= 0; i--) {
+    const block = await config.provider.getBlock(checkpoints[i].block);
+    if (block && block.hash === checkpoints[i].hash) return i;
+  }
+  return null;
+}
+
+function rollback(toBlock) {
+  let removed = 0;
+  for (const e of eventCollection().values()) {
+    if (e.blockNumber > toBlock && eventCollection().delete(e.id)) removed++;
+  }
+  views = null;
+  return removed;
+}
+
+async function syncOnce() {
+  const { provider, address, registry, confirmations, batchSize } = config;
+  const addresses = registry ? [address, registry] : address;
+  let cursor = getCursor();
+  let reorg = null;
+
+  const last = cursor.checkpoints[cursor.checkpoints.length - 1];
+  if (last) {
+    const block = await provider.getBlock(last.block);
+    if (!block || block.hash !== last.hash) {
+      const keep = await commonAncestor(cursor.checkpoints.slice(0, -1));
+      const checkpoints = keep === null ? [] : cursor.checkpoints.slice(0, keep + 1);
+      const rewindTo = keep === null ? config.fromBlock - 1 : checkpoints[keep].block;
+      reorg = { from: cursor.block, to: rewindTo, removed: rollback(rewindTo) };
+      cursor = stateCollection().put('cursor', { ...cursor, block: rewindTo, checkpoints });
+    }
+  }
+
+  const target = (await provider.getBlockNumber()) - confirmations;
+  let indexed = 0;
+
+  while (cursor.block < target) {
+    const fromBlock = cursor.block + 1;
+    const toBlock = Math.min(target, fromBlock + batchSize - 1);
+    const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock, topics: TOPICS });
+
+    // One header per block with events, for timestamps (review recency)
+    const timestamps = new Map();
+    for (const n of new Set(logs.map(l => l.blockNumber))) {
+      timestamps.set(n, (await provider.getBlock(n)).timestamp);
+    }
+
+    for (const log of logs) {
+      const event = decode(log);
+      if (!event) continue;
+      if (event.name === 'ReviewSubmitted') event.comment = await reviewComment(event.args.requestId);
+      eventCollection().put(event.id, { ...event, timestamp: timestamps.get(event.blockNumber) });
+    }
+    indexed += logs.length;
+
+    const end = await provider.getBlock(toBlock);
+    cursor = stateCollection().put('cursor', {
+      address,
+      registry,
+      block: toBlock,
+      checkpoints: [...cursor.checkpoints, { block: toBlock, hash: end.hash }].slice(-MAX_CHECKPOINTS),
+      syncedAt: new Date().toISOString()
+    });
+    if (logs.length) views = null;
+  }
+
+  return { block: cursor.block, indexed, reorg };
+}
+
+// Concurrent callers share one pass
+function sync() {
+  if (!config) throw new Error('Indexer not configured');
+  if (!syncing) syncing = syncOnce().finally(() => { syncing = null; });
+  return syncing;
+}
+
+function start({ intervalMs = 15000 } = {}) {
+  stop();
+  const tick = () => sync().catch(err => console.error('Indexer sync failed:', err.message));
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// Indexes PurchaseGuard (and the SellerRegistry, if deployed) on the API's network unless INDEXER=off
+function startFromEnv() {
+  const network = resolveNetwork();
+  if (process.env.INDEXER === 'off' || !network.rpcUrl || !network.contract) return false;
+
+  configure({
+    provider: getProvider(network),
+    address: network.contract,
+    registry: network.registry,
+    fromBlock: network.startBlock,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 2)
+  });
+  start({ intervalMs: Number(process.env.INDEXER_INTERVAL_MS || 15000) });
+  return true;
+}
+
+function buildViews() {
+  const requests = new Map();
+  const reviews = new Map();
+  const sellers = new Map();
+  const feedback = new Map(); // review requestId => seller response and dispute status
+  const feedbackFor = (id) => feedback.get(id) || feedback.set(id, { response: null, dispute: null }).get(id);
+  const ordered = eventCollection().values()
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  for (const { name, args, comment, blockNumber, timestamp } of ordered) {
+    const req = requests.get(args.requestId);
+    switch (name) {
+      case 'PurchaseRequested':
+        requests.set(args.requestId, {
+          requestId: args.requestId, confidential: false, itemId: args.itemId, price: args.proposedPrice,
+          sellerId: args.sellerId, requester: args.requester, status: 'pending', referencePrice: null,
+          reason: null, blockNumber
+        });
+        break;
+      case 'ConfidentialPurchaseRequested':
+        requests.set(args.requestId, {
+          requestId: args.requestId, confidential: true, intentHash: args.intentHash, itemId: null, price: null,
+          sellerId: null, requester: args.requester, status: 'pending', referencePrice: null, reason: null,
+          revealed: false, blockNumber
+        });
+        break;
+      case 'ConfidentialPurchaseRevealed':
+        if (req) Object.assign(req, { itemId: args.itemId, price: args.proposedPrice, sellerId: args.sellerId, revealed: true });
+        break;
+      case 'PurchaseApproved':
+      case 'PurchaseRejected':
+        if (req) {
+          Object.assign(req, {
+            status: name === 'PurchaseApproved' ? 'approved' : 'rejected',
+            referencePrice: args.referencePrice,
+            reason: args.reason ?? null
+          });
+        }
+        break;
+      case 'DecisionRecorded':
+        if (req) {
+          Object.assign(req, {
+            verdict: VERDICTS[args.verdict], reasonCode: REASON_CODES[args.reasonCode],
+            valueScore: args.valueScore || null, effectivePrice: args.effectivePrice || null
+          });
+        }
+        break;
+      case 'PurchaseExpired':
+      case 'PurchaseCancelled':
+        if (req) req.status = name === 'PurchaseExpired' ? 'expired' : 'cancelled';
+        break;
+      // Confidential reviews left before the reveal: ReviewSubmitted follows once revealed
+      case 'UnlinkedReviewSubmitted':
+        if (req) req.review = 'unlinked';
+        break;
+      case 'ReviewSubmitted':
+        if (req) req.review = 'linked';
+        reviews.set(args.requestId, {
+          requestId: args.requestId, item: args.itemId, sellerId: args.sellerId, quality: args.quality,
+          delivery: args.delivery, value: args.value, comment: comment ?? null, reviewer: args.reviewer, price: req?.price ?? null,
+          confidential: req?.confidential ?? false, blockNumber, timestamp: timestamp ?? null, onchain: true
+        });
+        break;
+      case 'SellerRegistered':
+        sellers.set(args.sellerId, {
+          sellerId: args.sellerId, controller: args.controller,
+          registeredAt: sellers.get(args.sellerId)?.registeredAt ?? timestamp ?? null
+        });
+        break;
+      case 'ReviewResponded':
+        feedbackFor(args.requestId).response = args.response;
+        break;
+      case 'DisputeOpened':
+        feedbackFor(args.requestId).dispute = 'open';
+        break;
+      case 'DisputeResolved':
+        feedbackFor(args.requestId).dispute = args.fraudulent ? 'upheld' : 'dismissed';
+        break;
+    }
+  }
+  const withFeedback = [...reviews.values()].map(r => ({ ...r, response: null, dispute: null, ...feedback.get(r.requestId) }));
+
+  // Per-reviewer history for review weighting, so weighing N reviews stays O(N)
+  const sellersByReviewer = new Map();
+  for (const r of withFeedback) {
+    if (r.dispute === 'upheld') continue;
+    const key = r.reviewer.toLowerCase();
+    const own = sellersByReviewer.get(key) || sellersByReviewer.set(key, { reviews: 0, sellers: new Set() }).get(key);
+    own.reviews++;
+    own.sellers.add(r.sellerId);
+  }
+  const reviewers = new Map([...sellersByReviewer].map(([key, own]) => [key, { reviews: own.reviews, sellers: own.sellers.size }]));
+  return { requests, reviews: withFeedback, sellers, reviewers };
+}
+
+function getViews() {
+  if (!views) views = buildViews();
+  return views;
+}
+
+// True once configured and synced at least once
+function isReady() {
+  return Boolean(config && stateCollection().get('cursor')?.syncedAt);
+}
+
+function getSellerReviews(sellerId) {
+  return getViews().reviews.filter(r => r.sellerId === sellerId);
+}
+
+function getItemReviews(itemId) {
+  return getViews().reviews.filter(r => r.item === itemId);
+}
+
+// How many reviews an address has written, and for how many distinct sellers (fraudulent ones excluded)
+function getReviewerStats(reviewer) {
+  return getViews().reviewers.get(reviewer.toLowerCase()) || { reviews: 0, sellers: 0 };
+}
+
+function getRequest(requestId) {
+  return getViews().requests.get(requestId) || null;
+}
+
+// { sellerId, controller, registeredAt } from the SellerRegistry, or null if unregistered
+function getSeller(sellerId) {
+  return getViews().sellers.get(sellerId) || null;
+}
+
+function status() {
+  if (!config) return { enabled: false };
+  const cursor = getCursor();
+  return {
+    enabled: true,
+    contract: config.address,
+    registry: config.registry,
+    lastBlock: cursor.block,
+    syncedAt: cursor.syncedAt || null,
+    events: eventCollection().size()
+  };
+}
+
+module.exports = {
+  configure, sync, start, stop, startFromEnv,
+  isReady, getSellerReviews, getItemReviews, getReviewerStats, getRequest, getSeller, status
+};
@@ -0,0 +1,123 @@
+// Confidential purchase intents. An intent is only accepted when its hash equals
+// the commitment PurchaseGuard.revealPurchase checks — keccak256(abi.encodePacked(
+// itemId, price, sellerId, salt)) — and it is signed (EIP-191) by the requester.
+// Each intent carries the requester's own AES-256 result key, under which the
+// confidential result is encrypted; only a fresh signature by the requester reads
+// it back. Intents expire after INTENT_TTL_MS; the salt itself is never stored.
+
+const { ethers } = require('ethers');
+const { openCollection } = require('./store');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const RESULT_SIGNATURE_TTL = 5 * 60;      // seconds a signed result request stays valid
+
+// Opened per call (the store caches it per DATA_DIR), so a changed DATA_DIR takes effect
+function collection() {
+  return openCollection('intents');
+}
+
+function ttl() {
+  return Number(process.env.INTENT_TTL_MS || DEFAULT_TTL);
+}
+
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function computeIntentHash(itemId, price, sellerId, salt) {
+  return ethers.solidityPackedKeccak256(
+    ['string', 'uint256', 'string', 'bytes32'],
+    [itemId, price, sellerId, salt]
+  );
+}
+
+// Text the requester signs with personal_sign / wallet.signMessage
+function intentMessage(intentHash) {
+  return `ValueOracle intent:\n${intentHash.toLowerCase()}`;
+}
+
+// Text the requester signs to fetch their encrypted result; signedAt is unix seconds
+function resultMessage(intentHash, signedAt) {
+  return `ValueOracle result:\n${intentHash.toLowerCase()}\n${signedAt}`;
+}
+
+// Throws unless `signature` is a recent signature of resultMessage by `requester`
+function verifyResultRequest({ intentHash, requester, signedAt, signature }) {
+  const age = Math.floor(Date.now() / 1000) - Number(signedAt);
+  if (!signature || !/^\d+$/.test(String(signedAt)) || age < -60 || age > RESULT_SIGNATURE_TTL) {
+    throw fail(401, 'Missing or expired result signature');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(resultMessage(intentHash, signedAt), signature);
+  } catch {
+    throw fail(401, 'Invalid result signature');
+  }
+  if (!requester || signer.toLowerCase() !== requester.toLowerCase()) {
+    throw fail(403, 'Only the intent requester can read this result');
+  }
+}
+
+function storeIntent({ intentHash, itemId, price, sellerId, salt, requester, signature, resultKey }) {
+  if (!intentHash || !itemId || price === undefined || !sellerId || !salt || !requester || !signature || !resultKey) {
+    throw fail(400, 'Missing fields: intentHash, itemId, price, sellerId, salt, requester, signature, resultKey');
+  }
+  if (!Number.isInteger(price) || price < 0) throw fail(400, 'Price must be a non-negative integer');
+  if (!ethers.isHexString(salt, 32)) throw fail(400, 'Salt must be a 32-byte hex string');
+  if (!ethers.isHexString(resultKey, 32)) throw fail(400, 'resultKey must be a 32-byte hex AES key');
+  if (!ethers.isAddress(requester)) throw fail(400, 'Requester must be an address');
+
+  if (computeIntentHash(itemId, price, sellerId, salt).toLowerCase() !== intentHash.toLowerCase()) {
+    throw fail(400, 'intentHash does not match keccak256(itemId, price, sellerId, salt)');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(intentMessage(intentHash), signature);
+  } catch {
+    throw fail(401, 'Invalid intent signature');
+  }
+  if (signer.toLowerCase() !== requester.toLowerCase()) throw fail(401, 'Intent not signed by requester');
+
+  const key = intentHash.toLowerCase();
+  if (getIntent(key)) throw fail(409, 'Intent already registered');
+
+  const now = Date.now();
+  return collection().put(key, {
+    intentHash: key,
+    itemId,
+    price,
+    sellerId,
+    requester: ethers.getAddress(requester),
+    resultKey: resultKey.toLowerCase(),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl()).toISOString()
+  });
+}
+
+// Expired intents are dropped on read
+function getIntent(intentHash) {
+  const key = intentHash.toLowerCase();
+  const intent = collection().get(key);
+  if (!intent) return null;
+  if (Date.parse(intent.expiresAt) <= Date.now()) {
+    collection().delete(key);
+    return null;
+  }
+  return intent;
+}
+
+function purgeExpired() {
+  let removed = 0;
+  for (const intent of collection().values()) {
+    if (Date.parse(intent.expiresAt) <= Date.now() && collection().delete(intent.intentHash)) removed++;
+  }
+  return removed;
+}
+
+module.exports = {
+  computeIntentHash, intentMessage, resultMessage, verifyResultRequest, storeIntent, getIntent, purgeExpired
+};
@@ -0,0 +1,100 @@
+// Named network profiles shared by the API, the agent CLI and the scripts. RPC URL and
+// chain ID are built in per profile; <NAME>_RPC_URL overrides the RPC URL and
+// <NAME>_PRIVATE_KEY (then PRIVATE_KEY) the signer. Contract, registry and forwarder
+// addresses come from deployments/<name>.json, which scripts/deploy.js writes. On
+// sepolia, CONTRACT_ADDRESS / REGISTRY_ADDRESS / INDEXER_START_BLOCK, when set, take
+// precedence over its deployment file.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+const DEFAULT_NETWORK = 'sepolia';
+
+const PROFILES = {
+  sepolia: { chainId: 11155111, rpcUrl: null },
+  // `npx hardhat node`; signs with Hardhat's first well-known account unless LOCALHOST_PRIVATE_KEY is set
+  localhost: {
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+  }
+};
+
+function fail(message) {
+  const err = new Error(message);
+  err.status = 500;
+  return err;
+}
+
+function deploymentFile(name) {
+  return path.join(process.env.DEPLOYMENTS_DIR || DEPLOYMENTS_DIR, `${name}.json`);
+}
+
+function loadDeployment(name) {
+  const file = deploymentFile(name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function saveDeployment(name, deployment) {
+  const file = deploymentFile(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + '\n');
+  return file;
+}
+
+// `--network <name>` or `--network=<name>` from argv, then NETWORK, then sepolia
+function selectedNetwork(argv = process.argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network' || argv[i] === '-n') return argv[i + 1];
+    if (argv[i].startsWith('--network=')) return argv[i].slice('--network='.length);
+  }
+  return process.env.NETWORK || DEFAULT_NETWORK;
+}
+
+function networkNames() {
+  const dir = process.env.DEPLOYMENTS_DIR || DEPLOYMENTS_DIR;
+  const deployed = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)) : [];
+  return [...new Set([...Object.keys(PROFILES), ...deployed])];
+}
+
+// A deployment file alone (with rpcUrl and chainId) is enough to define a custom network
+function resolveNetwork(name = selectedNetwork()) {
+  const profile = PROFILES[name];
+  const deployment = loadDeployment(name);
+  if (!profile && !deployment) throw fail(`Unknown network "${name}" (known: ${networkNames().join(', ')})`);
+
+  const envName = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const legacy = name === DEFAULT_NETWORK ? process.env : {};
+  // The file's registry and deployment block belong to the file's contract
+  const paired = legacy.CONTRACT_ADDRESS ? null : deployment;
+  return {
+    name,
+    chainId: Number(deployment?.chainId ?? profile.chainId),
+    rpcUrl: process.env[`${envName}_RPC_URL`] || deployment?.rpcUrl || profile?.rpcUrl || null,
+    contract: legacy.CONTRACT_ADDRESS || deployment?.contract || null,
+    registry: legacy.REGISTRY_ADDRESS || paired?.registry || null,
+    forwarder: deployment?.forwarder || null,
+    startBlock: legacy.INDEXER_START_BLOCK ? Number(legacy.INDEXER_START_BLOCK) : paired?.blockNumber ?? 0,
+    privateKey: process.env[`${envName}_PRIVATE_KEY`] || profile?.privateKey || process.env.PRIVATE_KEY || null
+  };
+}
+
+// No response cache: on an automining local chain back-to-back transactions would
+// otherwise reuse a cached nonce
+function getProvider(network) {
+  if (!network.rpcUrl) throw fail(`No RPC URL for ${network.name}: set ${network.name.toUpperCase()}_RPC_URL`);
+  return new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true, cacheTimeout: -1 });
+}
+
+// The provider trusts the profile's chain ID, so check the RPC really serves that chain
+// before sending transactions through it
+async function checkChain(provider, network) {
+  const chainId = Number(await provider.send('eth_chainId', []));
+  if (chainId !== network.chainId) {
+    throw fail(`RPC for ${network.name} is on chain ${chainId}, expected ${network.chainId}`);
+  }
+}
+
+module.exports = { PROFILES, selectedNetwork, resolveNetwork, networkNames, loadDeployment, saveDeployment, getProvider, checkChain };
@@ -0,0 +1,126 @@
+// Local price history: every source quote is recorded, and a background sampler
+// keeps tracked items fresh between evaluations. Used to flag prices that sit far
+// above an item's trailing median even when all marketplaces agree.
+
+const { openCollection } = require('./store');
+const { median } = require('./referencePrice');
+
+const DAY = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = 90;
+const MIN_SAMPLES = 5;
+
+// Opened per call (the store caches it per DATA_DIR), so a changed DATA_DIR takes effect
+function collection() {
+  return openCollection('price-history');
+}
+
+const keyOf = (s) => `${s.itemId}|${s.source}|${s.ts}`;
+
+// itemId → samples in time order, built once per collection and kept in step by
+// record and prune, so a lookup never scans other items' samples
+const indexes = new WeakMap();
+
+function itemIndex() {
+  const c = collection();
+  if (!indexes.has(c)) {
+    const byItem = new Map();
+    for (const s of c.values()) {
+      if (!byItem.has(s.itemId)) byItem.set(s.itemId, []);
+      byItem.get(s.itemId).push(s);
+    }
+    for (const samples of byItem.values()) samples.sort((a, b) => a.ts - b.ts);
+    indexes.set(c, byItem);
+  }
+  return indexes.get(c);
+}
+
+// Quotes mostly arrive in time order, so search from the end. A sample with the
+// same key replaces the old one, as it does in the collection.
+function insertSample(samples, sample) {
+  let i = samples.length;
+  while (i > 0 && samples[i - 1].ts > sample.ts) i--;
+  for (let j = i - 1; j >= 0 && samples[j].ts === sample.ts; j--) {
+    if (samples[j].source === sample.source) {
+      samples[j] = sample;
+      return;
+    }
+  }
+  samples.splice(i, 0, sample);
+}
+
+// Record quotes from registry.fetchPrices; quotes without a price are skipped
+function record(itemId, quotes) {
+  const index = itemIndex();
+  for (const q of quotes) {
+    if (!(q.price > 0)) continue;
+    const sample = {
+      itemId,
+      source: q.name,
+      price: q.price,
+      provenance: q.provenance || 'live',
+      ts: Date.parse(q.fetchedAt) || Date.now()
+    };
+    collection().put(keyOf(sample), sample);
+    if (!index.has(itemId)) index.set(itemId, []);
+    insertSample(index.get(itemId), sample);
+  }
+}
+
+function getHistory(itemId, { since = 0, until = Infinity, source } = {}) {
+  return (itemIndex().get(itemId) || [])
+    .filter(s => s.ts >= since && s.ts <= until && (!source || s.source === source));
+}
+
+// Trailing median over live/cached samples; static fallback prices are ignored.
+// `before` excludes the quotes recorded by the evaluation being scored.
+function trailingStats(itemId, { days = 30, before = Date.now() } = {}) {
+  const window = getHistory(itemId, { since: before - days * DAY, until: before - 1 })
+    .filter(s => s.provenance !== 'fallback');
+  if (window.length < MIN_SAMPLES) return null;
+
+  return {
+    median: median(window.map(s => s.price)),
+    samples: window.length,
+    days,
+    from: new Date(window[0].ts).toISOString()
+  };
+}
+
+function trackedItems() {
+  return [...itemIndex().keys()];
+}
+
+// Drops samples past the retention; the API server runs it hourly
+function prune(olderThanDays = RETENTION_DAYS) {
+  const cutoff = Date.now() - olderThanDays * DAY;
+  const c = collection();
+  const index = itemIndex();
+  let removed = 0;
+  for (const [itemId, samples] of index) {
+    const keep = samples.filter(s => s.ts >= cutoff);
+    for (const s of samples) if (s.ts < cutoff && c.delete(keyOf(s))) removed++;
+    if (keep.length) index.set(itemId, keep);
+    else index.delete(itemId);
+  }
+  return removed;
+}
+
+// Periodically re-quote items; fetchPrices records into the history itself
+function startSampler({ fetchPrices, intervalMs, items = [] }) {
+  const tick = async () => {
+    const targets = items.length ? items : trackedItems();
+    for (const itemId of targets) {
+      try {
+        await fetchPrices(itemId);
+      } catch (err) {
+        console.error(`Price sampler failed for ${itemId}:`, err.message);
+      }
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = { record, getHistory, trailingStats, trackedItems, prune, startSampler };
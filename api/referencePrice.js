@@ -0,0 +1,87 @@
+// Robust reference price: weighted median over the sources that survive
+// outlier rejection, so a single poisoned feed cannot drag the price.
+
+const DEFAULTS = {
+  method: 'mad',        // 'mad' (modified z-score) or 'iqr' (Tukey fences)
+  madThreshold: 3.5,    // modified z-score above which a quote is an outlier
+  iqrMultiplier: 1.5,
+  minDeviation: 0.1,    // never flag quotes within 10% of the median
+  madFloor: 0.02        // MAD floor as a fraction of the median (guards MAD = 0)
+};
+
+function median(values) {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median where each entry counts `weight` times; equals median() for equal weights
+function weightedMedian(entries) {
+  const sorted = entries.filter(e => e.weight > 0).sort((a, b) => a.price - b.price);
+  if (sorted.length === 0) return NaN;
+
+  const half = sorted.reduce((sum, e) => sum + e.weight, 0) / 2;
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (Math.abs(cumulative - half) < 1e-9 && i + 1 < sorted.length) {
+      return (sorted[i].price + sorted[i + 1].price) / 2;
+    }
+    if (cumulative > half) return sorted[i].price;
+  }
+  return sorted[sorted.length - 1].price;
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function madOutliers(prices, center, opts) {
+  const mad = median(prices.map(p => Math.abs(p - center)));
+  const scale = Math.max(mad, center * opts.madFloor);
+  return prices.map(p => 0.6745 * Math.abs(p - center) / scale > opts.madThreshold);
+}
+
+function iqrOutliers(prices, opts) {
+  const sorted = [...prices].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = (q3 - q1) * opts.iqrMultiplier;
+  return prices.map(p => p < q1 - fence || p > q3 + fence);
+}
+
+// sources: [{ name, price, weight? }] — weight is the per-source reliability (default 1)
+function computeReferencePrice(sources, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const entries = sources.map(s => ({ ...s, weight: s.weight ?? 1 }));
+  const prices = entries.map(s => s.price);
+  const initialMedian = weightedMedian(entries);
+
+  // Fewer than three quotes cannot outvote each other
+  let flags = prices.map(() => false);
+  if (entries.length >= 3) {
+    flags = opts.method === 'iqr' ? iqrOutliers(prices, opts) : madOutliers(prices, initialMedian, opts);
+    flags = flags.map((f, i) => f && Math.abs(prices[i] - initialMedian) / initialMedian > opts.minDeviation);
+  }
+
+  const inliers = entries.filter((_, i) => !flags[i]);
+  const referencePrice = Math.round(weightedMedian(inliers.length ? inliers : entries));
+
+  return {
+    referencePrice,
+    initialMedian,
+    method: opts.method,
+    outlierCount: flags.filter(Boolean).length,
+    sources: entries.map((s, i) => ({
+      ...s,
+      outlier: flags[i],
+      deviation: +(Math.abs(s.price - referencePrice) / referencePrice * 100).toFixed(1)
+    }))
+  };
+}
+
+module.exports = { median, weightedMedian, computeReferencePrice };
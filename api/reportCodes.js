@@ -0,0 +1,11 @@
+// Verdicts and reason codes as PurchaseGuard stores them; index = enum value.
+// Keep in step with PurchaseGuard.Verdict / PurchaseGuard.ReasonCode and the CRE workflow.
+
+const VERDICTS = ['NONE', 'APPROVE', 'CAUTION', 'REJECT'];
+
+const REASON_CODES = [
+  'NONE', 'FAIR_PRICE', 'SELLER_BLOCKED', 'STALE_PRICES', 'PRICE_ANOMALY',
+  'PRICE_ABOVE_MARKET', 'LOW_SELLER_TRUST', 'LOW_QUALITY', 'LOW_VALUE_SCORE', 'SPENDING_POLICY'
+];
+
+module.exports = { VERDICTS, REASON_CODES };
@@ -1,29 +1,30 @@
 const express = require('express');
 const cors = require('cors');
+const { ethers } = require('ethers');
 require('dotenv').config();
-const marketplaceA = require('./sources/marketplaceA');
-const marketplaceB = require('./sources/marketplaceB');
-const marketplaceC = require('./sources/marketplaceC');
+const registry = require('./sources/registry');
 const sellerScore = require('./sources/sellerScore');
+const priceHistory = require('./priceHistory');
+const engine = require('./engine');
+const decisions = require('./decisions');
+const attestation = require('./attestation');
+const snapshots = require('./snapshots');
+const intents = require('./intents');
+const auth = require('./auth');
+const encryption = require('./encryption');
+const indexer = require('./indexer');
+const networks = require('./networks');
+const { sourcesMode } = require('./sources/fixtures');
 
 const app = express();
-app.use(cors());
+// CORS_ORIGINS=https://valueoracle.com,https://app.example (or * for any) — unset allows no browser origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.includes('*') ? '*' : corsOrigins }));
 app.use(express.json());
 
-// Intent cache for confidential purchases
-const intentCache = new Map();
-
-const WEIGHTS = {
-  priceFairness: 0.35,
-  qualitySignal: 0.25,
-  sellerTrust: 0.25,
-  valueRatio: 0.15
-};
-
-const THRESHOLDS = {
-  approve: 70,
-  caution: 40
-};
+const evaluateScope = auth.requireScope('evaluate');
+const creScope = auth.requireScope('cre');
+const adminScope = auth.requireScope('admin');
 
 // Groq LLM analysis (optional, skips if no API key)
 async function getAIAnalysis({ itemId, price, effectivePrice, referencePrice, valueScore, verdict, seller, product, deal, breakdown }) {
@@ -69,120 +70,94 @@ Give a brief, actionable analysis. Be specific about why this is or isn't a good
   }
 }
 
-function median(arr) {
-  const sorted = [...arr].sort((a, b) => a - b);
-  return sorted[Math.floor(sorted.length / 2)];
-}
-
-// Flag sources deviating >40% from median
-function detectOutliers(sources, medianPrice) {
-  const OUTLIER_THRESHOLD = 0.4;
-  return sources.map(s => {
-    const deviation = Math.abs(s.price - medianPrice) / medianPrice;
-    return {
-      ...s,
-      outlier: deviation > OUTLIER_THRESHOLD,
-      deviation: +(deviation * 100).toFixed(1)
-    };
-  });
+// Validation shared by /evaluate and /evaluate-confidential; null when the purchase is usable
+function purchaseError({ itemId, price, sellerId }) {
+  if (!itemId || price === undefined || price === null || !sellerId) {
+    return 'Missing required fields: itemId, price, sellerId';
+  }
+  if (typeof price !== 'number' || price < 0) return 'Price must be a non-negative number';
+  return null;
 }
 
-function clamp(val, min = 0, max = 100) {
-  return Math.max(min, Math.min(max, val));
+// asOf accepts unix seconds or an ISO date; returns ms or NaN
+function parseAsOf(asOf) {
+  return typeof asOf === 'number' ? asOf * 1000 : Date.parse(asOf);
 }
 
-function calculateValueScore({ proposedPrice, referencePrice, rating, reviewCount, returnRate, sellerScoreVal }) {
-  const priceRatio = referencePrice / Math.max(proposedPrice, 1);
-  const priceFairness = clamp(priceRatio * 100);
-
-  const ratingScore = (rating / 5) * 50;
-  const reviewScore = clamp(reviewCount / 10000, 0, 1) * 30;
-  const returnScore = clamp((20 - returnRate) / 20, 0, 1) * 20;
-  const qualitySignal = ratingScore + reviewScore + returnScore;
-
-  const sellerTrust = sellerScoreVal * 100;
-
-  const qualityPerDollar = (rating * 20) / (proposedPrice / referencePrice);
-  const valueRatio = clamp(qualityPerDollar);
-
-  const raw =
-    priceFairness * WEIGHTS.priceFairness +
-    qualitySignal * WEIGHTS.qualitySignal +
-    sellerTrust * WEIGHTS.sellerTrust +
-    valueRatio * WEIGHTS.valueRatio;
+// Deterministic evaluation against a pinned snapshot — identical output for
+// every caller (e.g. all CRE DON nodes), so no AI analysis, latency or clock fields.
+async function evaluatePinned({ itemId, price, sellerId, snapshotId, asOf }) {
+  const asOfMs = asOf !== undefined ? parseAsOf(asOf) : null;
+  const id = snapshotId || `asof:${itemId}:${sellerId}:${price}:${asOfMs}`;
+  const request = { itemId, price, sellerId, asOf: asOfMs };
+
+  const record = await snapshots.getOrCreate(id, request, async () => {
+    const snapshot = asOfMs !== null
+      ? await engine.gatherSnapshotAsOf(request, asOfMs)
+      : await engine.gatherSnapshot(request);
+    if (!snapshot) return null;
+
+    const decision = decisions.saveDecision({
+      request: { itemId, price, sellerId, snapshotId: id },
+      snapshot,
+      config: engine.engineConfig(),
+      result: engine.scoreDecision(request, snapshot)
+    });
+    return { snapshot, decisionId: decision.id };
+  });
+  if (!record) return null;
 
+  const result = engine.scoreDecision(request, record.snapshot);
   return {
-    valueScore: clamp(Math.round(raw)),
-    breakdown: {
-      priceFairness: Math.round(priceFairness),
-      qualitySignal: Math.round(qualitySignal),
-      sellerTrust: Math.round(sellerTrust),
-      valueRatio: Math.round(valueRatio)
-    }
+    deterministic: true,
+    snapshotId: id,
+    decisionId: record.decisionId,
+    engineVersion: engine.ENGINE_VERSION,
+    approved: result.approved,
+    verdict: result.verdict,
+    valueScore: result.valueScore,
+    referencePrice: result.referencePrice,
+    effectivePrice: Math.round(result.effectivePrice),
+    reason: result.reason,
+    reasonCode: result.reasonCode,
+    breakdown: result.breakdown,
+    outlierCount: result.outlierCount
   };
 }
 
-function buildReason(approved, breakdown, deviation, seller, productData, valueScore, sellerBlocked) {
-  if (sellerBlocked) return `Seller trust critically low (${seller.score.toFixed(2)}/1.0) — blocked`;
-  if (approved) return 'Fair price and trusted seller';
-  if (breakdown.priceFairness < 50) return `Price ${deviation}% above market median`;
-  if (breakdown.sellerTrust < 50) return `Seller trust too low (${seller.score.toFixed(2)}/1.0)`;
-  if (breakdown.qualitySignal < 40) return `Low product quality (${productData.rating}/5, ${productData.returnRate}% returns)`;
-  return `Value score ${valueScore}/100 below threshold`;
-}
-
-app.post('/evaluate', async (req, res) => {
+app.post('/evaluate', evaluateScope, async (req, res) => {
   try {
-    const { itemId, price, sellerId } = req.body;
+    const { itemId, price, sellerId, snapshotId, asOf, requestId } = req.body;
 
-    if (!itemId || price === undefined || price === null || !sellerId) {
-      return res.status(400).json({ error: 'Missing required fields: itemId, price, sellerId' });
+    const invalid = purchaseError(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (requestId !== undefined && !ethers.isHexString(requestId, 32)) {
+      return res.status(400).json({ error: 'requestId must be a PurchaseGuard request id (bytes32 hex)' });
+    }
+    if (snapshotId !== undefined && (typeof snapshotId !== 'string' || !snapshotId)) {
+      return res.status(400).json({ error: 'snapshotId must be a non-empty string' });
     }
-    if (typeof price !== 'number' || price < 0) {
-      return res.status(400).json({ error: 'Price must be a non-negative number' });
+    if (asOf !== undefined && !(parseAsOf(asOf) <= Date.now())) {
+      return res.status(400).json({ error: 'asOf must be a past unix timestamp (seconds) or ISO date' });
     }
 
-    const [priceA, priceB, priceC, seller] = await Promise.all([
-      marketplaceA.getPrice(itemId),
-      marketplaceB.getPrice(itemId),
-      marketplaceC.getPrice(itemId),
-      sellerScore.getScore(sellerId)
-    ]);
+    // Charged only once the request is known to be well-formed
+    if (!auth.chargeEvaluation(req, res)) return;
 
-    const sources = [
-      { name: 'marketplaceA', price: priceA },
-      { name: 'marketplaceB', price: priceB },
-      { name: 'marketplaceC', price: priceC }
-    ].filter(s => s.price > 0);
+    if (snapshotId !== undefined || asOf !== undefined) {
+      const pinned = await evaluatePinned({ itemId, price, sellerId, snapshotId, asOf });
+      if (!pinned) {
+        return res.status(404).json({ error: asOf !== undefined ? 'No recorded prices at asOf' : 'Item not found in any marketplace' });
+      }
+      return res.json(pinned);
+    }
 
-    if (sources.length === 0) {
+    const result = await engine.assessPurchase({ itemId, price, sellerId });
+    if (!result) {
       return res.status(404).json({ error: 'Item not found in any marketplace' });
     }
 
-    const referencePrice = median(sources.map(s => s.price));
-    const sourcesWithOutliers = detectOutliers(sources, referencePrice);
-    const outlierCount = sourcesWithOutliers.filter(s => s.outlier).length;
-    const productData = marketplaceA.getProductData(itemId);
-    const dealData = marketplaceA.getDealData(itemId);
-
-    // Effective price after deals
-    const effectivePrice = price - dealData.cashback - dealData.coupon + dealData.shippingFee;
-
-    const { valueScore, breakdown } = calculateValueScore({
-      proposedPrice: effectivePrice,
-      referencePrice,
-      rating: productData.rating,
-      reviewCount: productData.reviewCount,
-      returnRate: productData.returnRate,
-      sellerScoreVal: seller.score
-    });
-
-    // Block low-trust sellers regardless of score
-    const sellerBlocked = seller.score < 0.4;
-    const approved = !sellerBlocked && valueScore >= THRESHOLDS.approve;
-    const verdict = approved ? 'APPROVE' : valueScore >= THRESHOLDS.caution ? 'CAUTION' : 'REJECT';
-    const deviation = ((effectivePrice - referencePrice) / referencePrice * 100).toFixed(1);
-    const reason = buildReason(approved, breakdown, deviation, seller, productData, valueScore, sellerBlocked);
+    const { approved, verdict, valueScore, referencePrice, reason, reasonCode, breakdown, effectivePrice, seller, productData, dealData } = result;
 
     // LLM analysis (non-blocking)
     const aiAnalysis = await getAIAnalysis({
@@ -190,15 +165,39 @@ app.post('/evaluate', async (req, res) => {
       seller, product: productData, deal: dealData, breakdown
     });
 
+    // Bound to requestId so only that PurchaseGuard request can be settled with it
+    const signed = await attestation.signDecision({
+      requestId, itemId, price, sellerId, verdict, valueScore, referencePrice, engineVersion: engine.ENGINE_VERSION
+    });
+
+    const decision = decisions.saveDecision({
+      request: { itemId, price, sellerId, ...(requestId ? { requestId } : {}) },
+      snapshot: result.snapshot,
+      config: engine.engineConfig(),
+      result,
+      aiAnalysis,
+      attestation: signed
+    });
+
     res.json({
-      approved, verdict, valueScore, referencePrice, reason, breakdown,
-      sources: sourcesWithOutliers,
-      outlierCount,
+      decisionId: decision.id,
+      engineVersion: decision.engineVersion,
+      approved, verdict, valueScore, referencePrice, reason, reasonCode, breakdown,
+      sources: result.sources,
+      outlierCount: result.outlierCount,
+      freshness: result.freshness,
+      priceHistory: result.history,
       effectivePrice: Math.round(effectivePrice),
       deal: dealData,
-      product: { rating: productData.rating, reviewCount: productData.reviewCount, returnRate: productData.returnRate },
+      product: {
+        rating: productData.rating,
+        reviewCount: productData.reviewCount,
+        returnRate: productData.returnRate,
+        agentReviews: result.itemReviews
+      },
       seller: { score: seller.score, totalSales: seller.totalSales, reviewStats: seller.reviewStats || null },
-      aiAnalysis
+      aiAnalysis,
+      attestation: signed
     });
   } catch (err) {
     console.error('POST /evaluate failed:', err.message);
@@ -207,96 +206,266 @@ app.post('/evaluate', async (req, res) => {
 });
 
 // Confidential evaluation endpoint
-app.post('/evaluate-confidential', async (req, res) => {
+app.post('/evaluate-confidential', creScope, async (req, res) => {
   try {
-    const { itemId, price, sellerId, intentHash } = req.body;
+    const { itemId, price, sellerId, intentHash, encrypt } = req.body;
 
-    if (!itemId || price === undefined || !sellerId || !intentHash) {
-      return res.status(400).json({ error: 'Missing fields: itemId, price, sellerId, intentHash' });
-    }
-
-    const [priceA, priceB, priceC, seller] = await Promise.all([
-      marketplaceA.getPrice(itemId),
-      marketplaceB.getPrice(itemId),
-      marketplaceC.getPrice(itemId),
-      sellerScore.getScore(sellerId)
-    ]);
+    const invalid = purchaseError(req.body) || (!intentHash && 'Missing required field: intentHash');
+    if (invalid) return res.status(400).json({ error: invalid });
 
-    const sources = [
-      { name: 'marketplaceA', price: priceA },
-      { name: 'marketplaceB', price: priceB },
-      { name: 'marketplaceC', price: priceC }
-    ].filter(s => s.price > 0);
+    // Encrypted results use the key the requester registered with the intent
+    const intent = intents.getIntent(intentHash);
+    if (encrypt && !intent) {
+      return res.status(409).json({ error: 'Encrypted mode needs a registered intent (POST /intent) for its result key' });
+    }
+    const key = encrypt ? encryption.parseKey(intent.resultKey) : null;
+    if (!auth.chargeEvaluation(req, res)) return;
 
-    if (sources.length === 0) {
+    const result = await engine.assessPurchase({ itemId, price, sellerId });
+    if (!result) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    const referencePrice = median(sources.map(s => s.price));
-    const sourcesWithOutliers = detectOutliers(sources, referencePrice);
-    const productData = marketplaceA.getProductData(itemId);
-    const dealData = marketplaceA.getDealData(itemId);
-    const effectivePrice = price - dealData.cashback - dealData.coupon + dealData.shippingFee;
-
-    const { valueScore, breakdown } = calculateValueScore({
-      proposedPrice: effectivePrice,
-      referencePrice,
-      rating: productData.rating,
-      reviewCount: productData.reviewCount,
-      returnRate: productData.returnRate,
-      sellerScoreVal: seller.score
+    const { approved, verdict, valueScore, referencePrice, breakdown, effectivePrice } = result;
+    const signed = await attestation.signDecision({
+      itemId, price, sellerId, verdict, valueScore, referencePrice, engineVersion: engine.ENGINE_VERSION
     });
 
-    const sellerBlocked = seller.score < 0.4;
-    const approved = !sellerBlocked && valueScore >= THRESHOLDS.approve;
-    const verdict = approved ? 'APPROVE' : valueScore >= THRESHOLDS.caution ? 'CAUTION' : 'REJECT';
-
-    // Encrypted in transit via Confidential HTTP
-    res.json({
+    const payload = {
       confidential: true,
       intentHash,
       approved, verdict, valueScore, referencePrice, breakdown,
-      effectivePrice: Math.round(effectivePrice)
+      effectivePrice: Math.round(effectivePrice),
+      confidence: result.freshness.confidence,
+      attestation: signed
+    };
+    const encrypted = key ? encryption.encryptPayload(payload, key, intentHash) : null;
+
+    const decision = decisions.saveConfidentialDecision({
+      intentHash,
+      requester: intent?.requester ?? null,
+      config: engine.engineConfig(),
+      approved,
+      encrypted
     });
+
+    if (!encrypted) {
+      // Encrypted in transit via Confidential HTTP
+      return res.json({ decisionId: decision.id, ...payload });
+    }
+
+    // The workflow writes approved/referencePrice onchain; everything else is for the requester
+    res.json({ decisionId: decision.id, confidential: true, intentHash, approved, referencePrice, encrypted });
   } catch (err) {
     console.error('POST /evaluate-confidential failed:', err.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/reviews/seller/:sellerId', async (req, res) => {
+// Encrypted result of a confidential evaluation, for its requester only: send
+// X-Signed-At (unix seconds) and X-Requester-Signature over intents.resultMessage.
+// Decrypt with `agent/cli.js decrypt`.
+app.get('/evaluate-confidential/:intentHash', evaluateScope, (req, res) => {
+  const decision = decisions.findEncrypted(req.params.intentHash);
+  if (!decision) return res.status(404).json({ error: 'No encrypted result for this intent' });
+  try {
+    intents.verifyResultRequest({
+      intentHash: req.params.intentHash,
+      requester: decision.request.requester,
+      signedAt: req.get('X-Signed-At'),
+      signature: req.get('X-Requester-Signature')
+    });
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  const { id, createdAt, encrypted } = decision;
+  res.json({ decisionId: id, createdAt, encrypted });
+});
+
+app.get('/prices/:itemId/history', evaluateScope, (req, res) => {
+  const { since, until, source } = req.query;
+  if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+    return res.status(400).json({ error: 'since/until must be ISO dates' });
+  }
+
+  const samples = priceHistory.getHistory(req.params.itemId, {
+    since: since ? Date.parse(since) : 0,
+    until: until ? Date.parse(until) : Infinity,
+    source
+  });
+  res.json({
+    itemId: req.params.itemId,
+    samples: samples.map(s => ({ source: s.source, price: s.price, provenance: s.provenance, timestamp: new Date(s.ts).toISOString() })),
+    trailing: priceHistory.trailingStats(req.params.itemId, { days: engine.engineConfig().priceHistory.days })
+  });
+});
+
+// Signer and EIP-712 domain needed to verify decision attestations
+app.get('/attestations/signer', evaluateScope, (_req, res) => {
+  res.json({ signer: attestation.signerAddress(), domain: attestation.getDomain(), types: attestation.TYPES });
+});
+
+app.post('/attestations/verify', evaluateScope, (req, res) => {
+  const { domain, message, signature } = req.body || {};
+  if (!domain || !message || !signature) {
+    return res.status(400).json({ error: 'Missing fields: domain, message, signature' });
+  }
+  const result = attestation.verifyAttestation({ domain, message, signature }, attestation.signerAddress());
+  res.json({ ...result, expectedSigner: attestation.signerAddress() });
+});
+
+// Decision audit log
+app.get('/decisions', adminScope, (req, res) => {
+  const { itemId, sellerId, verdict, kind, since, until, limit, offset } = req.query;
+  if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+    return res.status(400).json({ error: 'since/until must be ISO dates' });
+  }
+
+  const page = decisions.listDecisions({ itemId, sellerId, verdict, kind, since, until, limit, offset });
+  res.json({
+    total: page.total,
+    decisions: page.decisions.map(d => ({
+      id: d.id, kind: d.kind, createdAt: d.createdAt, engineVersion: d.engineVersion,
+      request: d.request, verdict: d.result.verdict, valueScore: d.result.valueScore, reason: d.result.reason
+    }))
+  });
+});
+
+app.get('/decisions/:id', adminScope, (req, res) => {
+  const decision = decisions.getDecision(req.params.id);
+  if (!decision) return res.status(404).json({ error: 'Decision not found' });
+  res.json(decision);
+});
+
+// Re-score a stored decision's snapshot under the current engine version
+app.post('/decisions/:id/replay', adminScope, (req, res) => {
+  const decision = decisions.getDecision(req.params.id);
+  if (!decision) return res.status(404).json({ error: 'Decision not found' });
+  if (!decision.snapshot) return res.status(409).json({ error: 'Confidential decisions keep no snapshot to replay' });
+
+  const replayed = engine.scoreDecision(decision.request, decision.snapshot);
+  const summary = (r) => ({
+    approved: r.approved, verdict: r.verdict, valueScore: r.valueScore,
+    referencePrice: r.referencePrice, effectivePrice: Math.round(r.effectivePrice),
+    reason: r.reason, breakdown: r.breakdown
+  });
+  const original = summary(decision.result);
+  const current = summary(replayed);
+
+  res.json({
+    decisionId: decision.id,
+    original: { engineVersion: decision.engineVersion, ...original },
+    replayed: { engineVersion: engine.ENGINE_VERSION, ...current },
+    changed: JSON.stringify(original) !== JSON.stringify(current)
+  });
+});
+
+app.get('/reviews/seller/:sellerId', evaluateScope, async (req, res) => {
   const score = await sellerScore.getScore(req.params.sellerId);
   const reviews = await sellerScore.getSellerReviews(req.params.sellerId);
-  res.json({ sellerId: req.params.sellerId, reviews, stats: score.reviewStats });
+  res.json({
+    sellerId: req.params.sellerId,
+    registry: score.registry,
+    reviews,
+    stats: score.reviewStats,
+    weighting: sellerScore.REVIEW_WEIGHTING
+  });
 });
 
-app.get('/reviews/item/:itemId', (_req, res) => {
+app.get('/reviews/item/:itemId', evaluateScope, (_req, res) => {
   const reviews = sellerScore.getItemReviews(_req.params.itemId);
   res.json({ itemId: _req.params.itemId, reviews });
 });
 
-app.post('/intent', (req, res) => {
-  const { intentHash, itemId, price, sellerId } = req.body;
-  if (!intentHash || !itemId || price === undefined || !sellerId) {
-    return res.status(400).json({ error: 'Missing fields: intentHash, itemId, price, sellerId' });
+// Register a confidential purchase intent (verified commitment + requester signature)
+app.post('/intent', evaluateScope, (req, res) => {
+  try {
+    const intent = intents.storeIntent(req.body || {});
+    res.json({ cached: true, intentHash: intent.intentHash, expiresAt: intent.expiresAt });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /intent failed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  intentCache.set(intentHash, { itemId, price, sellerId, timestamp: Date.now() });
-  res.json({ cached: true, intentHash });
 });
 
-app.get('/intent/:intentHash', (req, res) => {
-  const data = intentCache.get(req.params.intentHash);
+// Plaintext intent lookup — CRE workflow only
+app.get('/intent/:intentHash', creScope, (req, res) => {
+  const data = intents.getIntent(req.params.intentHash);
   if (!data) return res.status(404).json({ error: 'Intent not found' });
-  res.json(data);
+  const { resultKey, ...intent } = data; // the workflow never needs the requester's key
+  res.json(intent);
 });
 
-app.get('/health', (_req, res) => {
-  const rpc = process.env.SEPOLIA_RPC_URL ? 'set' : 'missing';
-  const addr = process.env.CONTRACT_ADDRESS || 'missing';
-  res.json({ status: 'ok', service: 'ValueOracle Decision Engine', chain: { rpc, contract: addr } });
+// API key management
+app.post('/admin/keys', adminScope, (req, res) => {
+  try {
+    res.status(201).json(auth.issueKey(req.body || {}));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /admin/keys failed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/admin/keys', adminScope, (_req, res) => {
+  res.json({ keys: auth.listKeys() });
+});
+
+app.delete('/admin/keys/:id', adminScope, (req, res) => {
+  const key = auth.revokeKey(req.params.id);
+  if (!key) return res.status(404).json({ error: 'Key not found' });
+  res.json(key);
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`ValueOracle Decision Engine | port ${PORT}`);
+// Network profile from --network or NETWORK (default sepolia), see networks.js
+const network = networks.resolveNetwork();
+
+app.get('/health', (_req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'ValueOracle Decision Engine',
+    engineVersion: engine.ENGINE_VERSION,
+    sourcesMode: sourcesMode(),
+    chain: {
+      network: network.name,
+      chainId: network.chainId,
+      rpc: network.rpcUrl ? 'set' : 'missing',
+      contract: network.contract || 'missing',
+      registry: network.registry || 'missing'
+    },
+    indexer: indexer.status()
+  });
 });
+
+// Background work and the listener only run when started directly (`node api/server.js`);
+// tests require the app and listen on their own port
+if (require.main === module) {
+  // Hourly retention, with or without the price sampler: expired intents and snapshots
+  // (lookups already ignore them) and price samples past the history's retention
+  setInterval(() => {
+    intents.purgeExpired();
+    snapshots.purgeExpired();
+    priceHistory.prune();
+  }, 60 * 60 * 1000).unref();
+
+  // Follow PurchaseGuard events for reviews (INDEXER=off to disable)
+  indexer.startFromEnv();
+
+  // Background price sampler, e.g. PRICE_SAMPLER_INTERVAL_MS=3600000
+  if (process.env.PRICE_SAMPLER_INTERVAL_MS) {
+    priceHistory.startSampler({
+      fetchPrices: registry.fetchPrices,
+      intervalMs: Number(process.env.PRICE_SAMPLER_INTERVAL_MS),
+      items: (process.env.PRICE_SAMPLER_ITEMS || '').split(',').filter(Boolean)
+    });
+  }
+
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    const names = registry.getSources().map(s => s.name).join(', ');
+    console.log(`ValueOracle Decision Engine | port ${PORT} | network: ${network.name} | sources: ${names}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,88 @@
+// Pinned market snapshots for deterministic evaluation. The first request for a
+// snapshot gathers and stores it; every later request with the same id (e.g.
+// each CRE DON node evaluating the same requestId) is scored against that copy.
+//
+// Snapshots are stored under the caller's id together with the request it pins.
+// The workflow's ids are public onchain requestIds, so anyone may send the same id
+// first with other parameters; that only pins a snapshot of their own.
+//
+// Snapshots expire after SNAPSHOT_TTL_MS, long after a request's DON round is over.
+
+const crypto = require('crypto');
+const { openCollection } = require('./store');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const inFlight = new Map();
+
+// Opened per call (the store caches it per DATA_DIR), so a changed DATA_DIR takes effect
+function collection() {
+  return openCollection('snapshots');
+}
+
+function ttl() {
+  return Number(process.env.SNAPSHOT_TTL_MS || DEFAULT_TTL);
+}
+
+const expired = (record) => Date.parse(record.createdAt) + ttl() <= Date.now();
+
+function snapshotKey(id, { itemId, price, sellerId, asOf }) {
+  const request = JSON.stringify([itemId, price, sellerId, asOf ?? null]);
+  return `${id}:${crypto.createHash('sha256').update(request).digest('hex')}`;
+}
+
+// gather() → { snapshot, decisionId } or null; runs at most once per id and request.
+// Resolves to the stored record, or null when nothing could be gathered.
+async function getOrCreate(id, request, gather) {
+  const key = snapshotKey(id, request);
+  return stored(key) || create(key, id, request, gather);
+}
+
+// Expired snapshots are dropped on read
+function stored(key) {
+  const record = collection().get(key);
+  if (!record) return null;
+  if (expired(record)) {
+    collection().delete(key);
+    return null;
+  }
+  return record;
+}
+
+function create(key, id, request, gather) {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, (async () => {
+      try {
+        const gathered = await gather();
+        if (!gathered) return null;
+        return collection().put(key, {
+          id,
+          itemId: request.itemId,
+          price: request.price,
+          sellerId: request.sellerId,
+          asOf: request.asOf ?? null,
+          createdAt: new Date().toISOString(),
+          ...gathered
+        });
+      } finally {
+        inFlight.delete(key);
+      }
+    })());
+  }
+
+  return inFlight.get(key);
+}
+
+function getSnapshot(id, request) {
+  return stored(snapshotKey(id, request));
+}
+
+function purgeExpired() {
+  let removed = 0;
+  for (const record of collection().values()) {
+    if (expired(record) && collection().delete(snapshotKey(record.id, record))) removed++;
+  }
+  return removed;
+}
+
+module.exports = { getOrCreate, getSnapshot, purgeExpired };
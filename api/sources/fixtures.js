@@ -0,0 +1,65 @@
+// Record/replay for source adapters' HTTP calls, selected with SOURCES_MODE:
+//   live   (default) fetch from the marketplace API
+//   record fetch live and save each JSON response as a fixture
+//   replay serve fixtures only, never touching the network; their prices are 'cached'
+//          as of the recording, not live
+// Fixtures live under api/sources/fixtures (or SOURCES_FIXTURES_DIR), one file per URL:
+// https://dummyjson.com/products/1 → fixtures/dummyjson.com/products/1.json
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['live', 'record', 'replay'];
+const DEFAULT_DIR = path.join(__dirname, 'fixtures');
+
+function sourcesMode() {
+  const mode = process.env.SOURCES_MODE || 'live';
+  if (!MODES.includes(mode)) throw new Error(`SOURCES_MODE must be one of ${MODES.join(', ')}, got "${mode}"`);
+  return mode;
+}
+
+function fixturePath(url) {
+  const { host, pathname } = new URL(url);
+  return path.join(process.env.SOURCES_FIXTURES_DIR || DEFAULT_DIR, host, `${pathname.replace(/\/$/, '') || '/index'}.json`);
+}
+
+async function fetchLive(url, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// JSON body of a GET, from the network or a fixture depending on SOURCES_MODE, with the
+// provenance a price read from it carries: 'live' from the network, 'cached' as of the
+// recording when replayed, so old fixture prices never count as live.
+// Throws on network errors, non-2xx responses and missing fixtures alike, so
+// adapters fall back the same way in every mode.
+async function fetchSourced(url, { timeoutMs = 3000 } = {}) {
+  const mode = sourcesMode();
+  const file = fixturePath(url);
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(file)) throw new Error(`No fixture for ${url}`);
+    const { recordedAt, body } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { body, provenance: 'cached', asOf: recordedAt || null };
+  }
+
+  const body = await fetchLive(url, timeoutMs);
+  if (mode === 'record') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ url, recordedAt: new Date().toISOString(), body }, null, 2) + '\n');
+  }
+  return { body, provenance: 'live' };
+}
+
+async function fetchJson(url, options) {
+  return (await fetchSourced(url, options)).body;
+}
+
+module.exports = { MODES, sourcesMode, fixturePath, fetchSourced, fetchJson };
@@ -1,5 +1,7 @@
 // Marketplace A (mock — primary source with product metadata + deals)
 
+const { sourcesMode } = require('./fixtures');
+
 const prices = {
   'laptop-001': 1049,
   'phone-001': 847,
@@ -30,8 +32,9 @@ const deals = {
 const DEFAULT_PRODUCT = { rating: 3.0, reviewCount: 0, returnRate: 10.0 };
 const DEFAULT_DEAL = { cashback: 0, coupon: 0, shippingFee: 0 };
 
+// Simulated network latency, skipped in replay so runs are repeatable
 async function getPrice(itemId) {
-  await new Promise(r => setTimeout(r, 80 + Math.random() * 40));
+  if (sourcesMode() !== 'replay') await new Promise(r => setTimeout(r, 80 + Math.random() * 40));
   return prices[itemId] || 0;
 }
 
@@ -1,5 +1,9 @@
 // Marketplace B — DummyJSON Products API
-// Falls back to cached prices if unreachable.
+// When unreachable, serves the last live price (cached) or a static fallback,
+// tagging the result with its provenance. HTTP goes through fixtures.js, so
+// SOURCES_MODE=replay serves recorded responses instead, as cached prices.
+
+const { fetchSourced } = require('./fixtures');
 
 const DUMMYJSON_MAP = {
   'laptop-001': 1,    // maps to DummyJSON product ID
@@ -29,28 +33,28 @@ const fallbackPrices = {
   'cable-001': 11
 };
 
+// Last live price per item, served as 'cached' while fresh enough
+const lastLive = new Map();
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
 async function getPrice(itemId) {
   const productId = DUMMYJSON_MAP[itemId];
-  if (!productId) return 0;
+  if (!productId) return { price: 0, provenance: 'live' };
 
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 3000);
-
-    const res = await fetch(`https://dummyjson.com/products/${productId}`, {
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-    const data = await res.json();
+    const { body: data, ...tag } = await fetchSourced(`https://dummyjson.com/products/${productId}`);
     // Use the real API price, scaled to our domain
     const scale = SCALE[itemId] || 1;
-    return Math.round(data.price * scale);
+    const price = Math.round(data.price * scale);
+    if (tag.provenance === 'live') lastLive.set(itemId, { price, ts: Date.now() });
+    return { price, ...tag };
   } catch (err) {
-    // Fallback to cached price if API is down
-    return fallbackPrices[itemId] || 0;
+    // API is down — prefer the last live price, then the static table
+    const cached = lastLive.get(itemId);
+    if (cached && Date.now() - cached.ts < CACHE_TTL) {
+      return { price: cached.price, provenance: 'cached', asOf: new Date(cached.ts).toISOString() };
+    }
+    return { price: fallbackPrices[itemId] || 0, provenance: 'fallback' };
   }
 }
 
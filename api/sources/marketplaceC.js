@@ -1,5 +1,9 @@
 // Marketplace C — FakeStoreAPI
-// Falls back to cached prices if unreachable.
+// When unreachable, serves the last live price (cached) or a static fallback,
+// tagging the result with its provenance. HTTP goes through fixtures.js, so
+// SOURCES_MODE=replay serves recorded responses instead, as cached prices.
+
+const { fetchSourced } = require('./fixtures');
 
 const FAKESTORE_MAP = {
   'laptop-001': 9,     // WD 2TB Elements (electronics) — scaled to laptop range
@@ -29,26 +33,26 @@ const fallbackPrices = {
   'cable-001': 13
 };
 
+// Last live price per item, served as 'cached' while fresh enough
+const lastLive = new Map();
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
 async function getPrice(itemId) {
   const productId = FAKESTORE_MAP[itemId];
-  if (!productId) return 0;
+  if (!productId) return { price: 0, provenance: 'live' };
 
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 3000);
-
-    const res = await fetch(`https://fakestoreapi.com/products/${productId}`, {
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-    const data = await res.json();
+    const { body: data, ...tag } = await fetchSourced(`https://fakestoreapi.com/products/${productId}`);
     const scale = SCALE[itemId] || 1;
-    return Math.round(data.price * scale);
+    const price = Math.round(data.price * scale);
+    if (tag.provenance === 'live') lastLive.set(itemId, { price, ts: Date.now() });
+    return { price, ...tag };
   } catch (err) {
-    return fallbackPrices[itemId] || 0;
+    const cached = lastLive.get(itemId);
+    if (cached && Date.now() - cached.ts < CACHE_TTL) {
+      return { price: cached.price, provenance: 'cached', asOf: new Date(cached.ts).toISOString() };
+    }
+    return { price: fallbackPrices[itemId] || 0, provenance: 'fallback' };
   }
 }
 
@@ -0,0 +1,118 @@
+// Marketplace source registry — adapters are loaded from config (api/sources.json,
+// or SOURCES_CONFIG) so marketplaces can be added, disabled or swapped without
+// touching the decision engine.
+//
+// Adapter interface:
+//   getPrice(itemId)        → Promise<number | { price, provenance, asOf? }>   required, 0 when unknown
+//                             provenance is 'live' | 'cached' | 'fallback'; a bare number counts as live
+//   getProductData(itemId)  → { rating, reviewCount, returnRate }   optional
+//   getDealData(itemId)     → { cashback, coupon, shippingFee }     optional
+//
+// Config entry: { name, module, weight = 1, timeout = 5000, enabled = true, primary = false }
+// The primary source (or the first one implementing them) supplies product and deal data.
+
+const fs = require('fs');
+const path = require('path');
+const priceHistory = require('../priceHistory');
+const { sourcesMode } = require('./fixtures');
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'sources.json');
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_PRODUCT = { rating: 3.0, reviewCount: 0, returnRate: 10.0 };
+const DEFAULT_DEAL = { cashback: 0, coupon: 0, shippingFee: 0 };
+
+let sources = null;
+
+function loadSources(configPath = process.env.SOURCES_CONFIG || DEFAULT_CONFIG) {
+  sourcesMode(); // fail fast on a mistyped SOURCES_MODE
+  const resolved = path.resolve(configPath);
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const baseDir = path.dirname(resolved);
+
+  sources = (config.sources || [])
+    .filter(entry => entry.enabled !== false)
+    .map(entry => register(entry, require(path.resolve(baseDir, entry.module))));
+
+  return sources;
+}
+
+function register(entry, adapter) {
+  const name = entry.name || adapter.name;
+  if (!name) throw new Error(`Source ${entry.module} has no name`);
+  if (typeof adapter.getPrice !== 'function') throw new Error(`Source ${name} does not implement getPrice`);
+
+  return {
+    name,
+    weight: entry.weight ?? 1,
+    timeout: entry.timeout ?? DEFAULT_TIMEOUT,
+    primary: !!entry.primary,
+    adapter
+  };
+}
+
+function getSources() {
+  return sources || loadSources();
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function normalizeQuote(quote) {
+  if (typeof quote === 'number') return { price: quote, provenance: 'live' };
+  return { price: quote?.price || 0, provenance: quote?.provenance || 'live', asOf: quote?.asOf };
+}
+
+// Fan out to every registered source; failed or empty sources are dropped.
+// Each quote carries its provenance, fetch latency and timestamp, and is
+// recorded in the price history.
+async function fetchPrices(itemId) {
+  const results = await Promise.all(getSources().map(async s => {
+    const started = Date.now();
+    let quote;
+    try {
+      quote = normalizeQuote(await withTimeout(Promise.resolve(s.adapter.getPrice(itemId)), s.timeout, s.name));
+    } catch (err) {
+      console.error(`Source ${s.name} failed for ${itemId}:`, err.message);
+      quote = { price: 0, provenance: 'error' };
+    }
+    const fetchedAt = new Date().toISOString();
+    return {
+      name: s.name,
+      price: quote.price,
+      weight: s.weight,
+      provenance: quote.provenance,
+      latencyMs: Date.now() - started,
+      fetchedAt,
+      asOf: quote.asOf || (quote.provenance === 'live' ? fetchedAt : null)
+    };
+  }));
+
+  try {
+    priceHistory.record(itemId, results);
+  } catch (err) {
+    console.error(`Price history write failed for ${itemId}:`, err.message);
+  }
+  return results.filter(s => s.price > 0);
+}
+
+function dataSource(method) {
+  const all = getSources().filter(s => typeof s.adapter[method] === 'function');
+  return all.find(s => s.primary) || all[0] || null;
+}
+
+function getProductData(itemId) {
+  const s = dataSource('getProductData');
+  return s ? s.adapter.getProductData(itemId) : DEFAULT_PRODUCT;
+}
+
+function getDealData(itemId) {
+  const s = dataSource('getDealData');
+  return s ? s.adapter.getDealData(itemId) : DEFAULT_DEAL;
+}
+
+module.exports = { loadSources, getSources, fetchPrices, getProductData, getDealData };
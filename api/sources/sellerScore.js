@@ -1,6 +1,6 @@
 // Seller reputation with onchain review integration
 
-const { ethers } = require('ethers');
+const indexer = require('../indexer');
 
 const sellers = {
   'seller-42': { score: 0.85, totalSales: 1240 },
@@ -9,7 +9,7 @@ const sellers = {
   'seller-200': { score: 0.15, totalSales: 12 }
 };
 
-// Fallback data when contract reads fail
+// Fallback data until the indexer has onchain reviews
 const fallbackReviews = {
   'seller-42': [
     { quality: 5, delivery: 4, value: 5, item: 'laptop-001' },
@@ -25,75 +25,98 @@ const fallbackReviews = {
   ]
 };
 
-const REVIEW_ABI = [
-  'function getSellerReviewCount(string sellerId) view returns (uint256)',
-  'function sellerReviews(string sellerId, uint256 index) view returns (bytes32)',
-  'function getReview(bytes32 requestId) view returns (tuple(bytes32 requestId, address reviewer, uint8 qualityRating, uint8 deliveryRating, uint8 valueRating, string comment, uint256 timestamp))'
-];
-
-let contract = null;
-
-function getContract() {
-  if (contract) return contract;
-  const rpc = process.env.SEPOLIA_RPC_URL;
-  const addr = process.env.CONTRACT_ADDRESS;
-  if (!rpc || !addr) return null;
-
-  try {
-    const provider = new ethers.JsonRpcProvider(rpc);
-    contract = new ethers.Contract(addr, REVIEW_ABI, provider);
-    return contract;
-  } catch {
-    return null;
-  }
+// Every onchain review, as followed by the event indexer; null until it has synced
+function onchainReviews(sellerId) {
+  if (!indexer.isReady()) return null;
+  const reviews = indexer.getSellerReviews(sellerId);
+  return reviews.length ? reviews : null;
 }
 
-// TTL cache to avoid duplicate RPC calls
-const reviewCache = new Map();
-const CACHE_TTL = 30000; // 30 seconds
-
-// Try reading reviews from onchain, fall back to cached data
-async function fetchOnchainReviews(sellerId) {
-  const cached = reviewCache.get(sellerId);
-  if (cached && Date.now() - cached.ts < CACHE_TTL) return cached.data;
-
-  const c = getContract();
-  if (!c) return null;
-
-  try {
-    const count = await c.getSellerReviewCount(sellerId);
-    const n = Number(count);
-    if (n === 0) return null;
-
-    // Read up to 10 most recent reviews to avoid excessive RPC calls
-    const limit = Math.min(n, 10);
-    const reviews = [];
-    for (let i = n - limit; i < n; i++) {
-      const reqId = await c.sellerReviews(sellerId, i);
-      const r = await c.getReview(reqId);
-      reviews.push({
-        quality: Number(r.qualityRating),
-        delivery: Number(r.deliveryRating),
-        value: Number(r.valueRating),
-        comment: r.comment,
-        onchain: true
-      });
-    }
-    reviewCache.set(sellerId, { data: reviews, ts: Date.now() });
-    return reviews;
-  } catch (err) {
-    console.error(`Onchain review fetch failed for ${sellerId}:`, err.message);
-    return null;
+const DEFAULT_SELLER = { score: 0.5, totalSales: 0 };
+
+// Review weighting against sybil farming: cheap purchases, old reviews, fresh or
+// single-seller wallets and repeat reviews from one address all count for less
+const REVIEW_WEIGHTING = {
+  fullWeightPrice: 1000,   // purchase price that earns a full-weight review
+  minPriceWeight: 0.1,
+  unknownPriceWeight: 0.3, // onchain reviews whose price is not known (e.g. unrevealed confidential purchases)
+  halfLifeDays: 180,
+  fullHistory: 5           // distinct sellers reviewed after which a reviewer's history counts in full
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+function priceFactor(review) {
+  const w = REVIEW_WEIGHTING;
+  if (review.price == null) return review.onchain ? w.unknownPriceWeight : 1;
+  return clamp(Math.log10(1 + review.price) / Math.log10(1 + w.fullWeightPrice), w.minPriceWeight, 1);
+}
+
+// Factors are 1 when a review lacks the data (e.g. fallback reviews)
+function weightFactors(review, { reviewerStats, repeats, now }) {
+  const w = REVIEW_WEIGHTING;
+  const price = priceFactor(review);
+
+  const ageDays = review.timestamp == null ? 0 : Math.max(now / 1000 - review.timestamp, 0) / DAY_SECONDS;
+  const recency = 0.5 ** (ageDays / w.halfLifeDays);
+
+  // History counts distinct sellers, so a fresh wallet starts at 1/fullHistory however
+  // "diverse" its single review is; diversity (sellers per review) then discounts
+  // wallets that keep reviewing the same few sellers
+  let reviewer = 1;
+  if (reviewerStats && reviewerStats.reviews > 0) {
+    const history = Math.min(reviewerStats.sellers / w.fullHistory, 1);
+    const diversity = reviewerStats.sellers / reviewerStats.reviews;
+    reviewer = history * (0.5 + 0.5 * diversity);
   }
+
+  // One address reviewing the same seller n times shares a single review's weight
+  const repeat = 1 / repeats;
+
+  return { price, recency, reviewer, repeat };
 }
 
-const DEFAULT_SELLER = { score: 0.5, totalSales: 0 };
+// Attaches weight + weighting factors to each review
+function weighReviews(reviews, { reviewerStats = () => null, now = Date.now() } = {}) {
+  const repeats = new Map();
+  const pairKey = (r) => `${r.reviewer.toLowerCase()}:${r.sellerId}`;
+  for (const r of reviews) {
+    if (r.reviewer) repeats.set(pairKey(r), (repeats.get(pairKey(r)) || 0) + 1);
+  }
 
-function computeReviewStats(reviews) {
-  if (!reviews || reviews.length === 0) return null;
-  const avg = (field) => reviews.reduce((s, r) => s + r[field], 0) / reviews.length;
+  return reviews.map(r => {
+    const factors = weightFactors(r, {
+      reviewerStats: r.reviewer ? reviewerStats(r.reviewer) : null,
+      repeats: r.reviewer ? repeats.get(pairKey(r)) : 1,
+      now
+    });
+    const weight = factors.price * factors.recency * factors.reviewer * factors.repeat;
+    const rounded = Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, +v.toFixed(3)]));
+    return { ...r, weight: +weight.toFixed(3), weighting: rounded };
+  });
+}
+
+// Weighted by review.weight when present. Reviews ruled fraudulent in a SellerRegistry
+// dispute are left out and counted as `flagged`.
+function computeReviewStats(allReviews) {
+  if (!allReviews) return null;
+  const reviews = allReviews.filter(r => r.dispute !== 'upheld');
+  if (reviews.length === 0) return null;
+  const weightOf = (r) => r.weight ?? 1;
+  const total = reviews.reduce((s, r) => s + weightOf(r), 0);
+  if (total === 0) return null;
+
+  const avg = (field) => reviews.reduce((s, r) => s + r[field] * weightOf(r), 0) / total;
+  const reviewers = new Set(reviews.filter(r => r.reviewer).map(r => r.reviewer.toLowerCase()));
   return {
     count: reviews.length,
+    effectiveCount: +total.toFixed(2),
+    uniqueReviewers: reviewers.size || null,
+    flagged: allReviews.length - reviews.length,
     avgQuality: +avg('quality').toFixed(2),
     avgDelivery: +avg('delivery').toFixed(2),
     avgValue: +avg('value').toFixed(2),
@@ -101,45 +124,67 @@ function computeReviewStats(reviews) {
   };
 }
 
+function weighted(reviews) {
+  return weighReviews(reviews, { reviewerStats: indexer.isReady() ? indexer.getReviewerStats : () => null });
+}
+
 async function getScore(sellerId) {
   const base = sellers[sellerId] || DEFAULT_SELLER;
 
   // Try onchain first, fall back to cached reviews
-  let reviews = await fetchOnchainReviews(sellerId);
+  let reviews = onchainReviews(sellerId);
   const source = reviews ? 'onchain' : 'cache';
   if (!reviews) reviews = fallbackReviews[sellerId] || [];
 
-  const reviewStats = computeReviewStats(reviews);
+  const reviewStats = computeReviewStats(weighted(reviews));
   if (reviewStats) reviewStats.source = source;
 
-  // Blend with agent reviews (up to 30% weight)
+  // Blend with agent reviews (up to 30% weight, by weighted review count)
   let finalScore = base.score;
-  if (reviewStats && reviewStats.count >= 1) {
+  if (reviewStats) {
     const reviewScore = reviewStats.overall / 5;
-    const reviewWeight = Math.min(reviewStats.count * 0.1, 0.3);
+    const reviewWeight = Math.min(reviewStats.effectiveCount * 0.1, 0.3);
     finalScore = base.score * (1 - reviewWeight) + reviewScore * reviewWeight;
   }
 
   return {
     score: +finalScore.toFixed(3),
     totalSales: base.totalSales,
-    reviewStats
+    reviewStats,
+    registry: indexer.isReady() ? indexer.getSeller(sellerId) : null
   };
 }
 
+// With the seller's response and dispute status ('open' | 'upheld' | 'dismissed'), null when none
 async function getSellerReviews(sellerId) {
-  const onchain = await fetchOnchainReviews(sellerId);
-  return onchain || fallbackReviews[sellerId] || [];
+  const reviews = onchainReviews(sellerId) || fallbackReviews[sellerId] || [];
+  return weighted(reviews.map(r => ({ response: null, dispute: null, ...r })));
 }
 
 function getItemReviews(itemId) {
+  if (indexer.isReady()) {
+    const onchain = indexer.getItemReviews(itemId);
+    if (onchain.length) return weighted(onchain);
+  }
+
   const results = [];
   for (const [sellerId, reviews] of Object.entries(fallbackReviews)) {
     for (const r of reviews) {
       if (r.item === itemId) results.push({ ...r, sellerId });
     }
   }
-  return results;
+  return weighted(results);
 }
 
-module.exports = { getScore, computeReviewStats, getSellerReviews, getItemReviews };
+// Weighted agent review stats for an item, for the engine's quality dimension
+function getItemReviewStats(itemId) {
+  const reviews = getItemReviews(itemId);
+  const stats = computeReviewStats(reviews);
+  if (stats) stats.source = reviews[0].onchain ? 'onchain' : 'cache';
+  return stats;
+}
+
+module.exports = {
+  REVIEW_WEIGHTING, getScore, computeReviewStats, weighReviews,
+  getSellerReviews, getItemReviews, getItemReviewStats
+};
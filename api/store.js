@@ -0,0 +1,78 @@
+// Minimal persistent key-value collections backed by append-only JSON-lines
+// files under DATA_DIR. Each collection is held in memory and rebuilt from its
+// log on first open; the log is compacted once it is mostly overwritten entries.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+const collections = new Map();
+
+function dataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+function readLog(file) {
+  const records = new Map();
+  let ops = 0;
+  if (!fs.existsSync(file)) return { records, ops };
+
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.op === 'del') records.delete(entry.key);
+      else records.set(entry.key, entry.value);
+      ops++;
+    } catch {
+      // Torn final line after a crash — skip it
+    }
+  }
+  return { records, ops };
+}
+
+function openCollection(name) {
+  const file = path.join(dataDir(), `${name}.jsonl`);
+  if (collections.has(file)) return collections.get(file);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const loaded = readLog(file);
+  const records = loaded.records;
+  let ops = loaded.ops;
+
+  function append(entry) {
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    if (++ops > 1000 && ops > records.size * 2) compact();
+  }
+
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const lines = [...records].map(([key, value]) => JSON.stringify({ op: 'put', key, value }));
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, file);
+    ops = records.size;
+  }
+
+  const collection = {
+    get: (key) => records.get(key),
+    has: (key) => records.has(key),
+    values: () => [...records.values()],
+    size: () => records.size,
+    put(key, value) {
+      records.set(key, value);
+      append({ op: 'put', key, value });
+      return value;
+    },
+    delete(key) {
+      if (!records.delete(key)) return false;
+      append({ op: 'del', key });
+      return true;
+    },
+    compact
+  };
+
+  collections.set(file, collection);
+  return collection;
+}
+
+module.exports = { openCollection };
@@ -1,10 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import { SpendingPolicies } from "./SpendingPolicies.sol";
+
 interface IERC165 {
     function supportsInterface(bytes4 interfaceId) external view returns (bool);
 }
 
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
 // CRE KeystoneForwarder callback
 interface IReceiver is IERC165 {
     function onReport(bytes calldata metadata, bytes calldata report) external;
@@ -20,6 +27,9 @@ contract PurchaseGuard is IReceiver {
         bool approved;
         uint256 referencePrice;
         uint256 timestamp;
+        uint256 deadline;   // reports after this are refused
+        bool expired;       // a report arrived after the deadline
+        bool cancelled;     // cancelled by the requester after the deadline
     }
 
     struct ConfidentialRequest {
@@ -30,6 +40,51 @@ contract PurchaseGuard is IReceiver {
         bool revealed;
         uint256 referencePrice;
         uint256 timestamp;
+        uint256 deadline;
+        bool expired;
+        bool cancelled;
+    }
+
+    // EIP-712 decision signed offchain by the decision engine
+    struct DecisionAttestation {
+        bytes32 requestId;
+        string itemId;
+        uint256 price;
+        string sellerId;
+        string verdict;
+        uint256 valueScore;
+        uint256 referencePrice;
+        uint256 timestamp;
+        string engineVersion;
+    }
+
+    // ERC-20 funds held for a standard request until the oracle decides
+    struct Escrow {
+        address token;
+        uint256 amount;
+        address payout;
+        bool settled;
+    }
+
+    // Three-state engine verdict; CAUTION and REJECT both reject, but consumers may treat them differently
+    enum Verdict { None, Approve, Caution, Reject }
+
+    // Mirrors REASON_CODES in api/reportCodes.js; None for legacy reports without one
+    enum ReasonCode {
+        None, FairPrice, SellerBlocked, StalePrices, PriceAnomaly,
+        PriceAboveMarket, LowSellerTrust, LowQuality, LowValueScore, SpendingPolicy
+    }
+
+    // What the engine decided and why. Scores are 0-100; legacy reports leave them zero.
+    struct Decision {
+        Verdict verdict;
+        ReasonCode reasonCode;
+        uint8 valueScore;
+        uint8 priceFairness;
+        uint8 qualitySignal;
+        uint8 sellerTrust;
+        uint8 valueRatio;
+        uint256 effectivePrice;
     }
 
     struct AgentReview {
@@ -44,22 +99,62 @@ contract PurchaseGuard is IReceiver {
 
     mapping(bytes32 => PurchaseRequest) public requests;
     mapping(bytes32 => ConfidentialRequest) public confidentialRequests;
+    mapping(bytes32 => Escrow) public escrows;
+    mapping(bytes32 => Decision) private _decisions;
     mapping(bytes32 => AgentReview) public reviews;
     mapping(string => bytes32[]) public itemReviews;
     mapping(string => bytes32[]) public sellerReviews;
+    mapping(bytes32 => string[2]) private _revealedIntents; // confidential requestId => [itemId, sellerId]
 
     address public oracle;
     address public owner;
     address public forwarder;
+    address public attestationSigner;
+    uint256 public attestationMaxAge = 1 hours;
+    mapping(bytes32 => bool) public usedAttestations;
+    uint256 public escrowTimeout = 1 days;
+    uint256 public requestTtl = 1 hours;
+
+    mapping(address => address) public controllers;
+    mapping(address => SpendingPolicies.SpendingPolicy) public policies;
+    mapping(address => mapping(bytes32 => SpendingPolicies.Rule)) public sellerRules;   // keccak256(sellerId)
+    mapping(address => mapping(bytes32 => SpendingPolicies.Rule)) public categoryRules; // keccak256(category)
+    mapping(address => SpendingPolicies.DaySpend[7]) private _spends; // approved spend per UTC day
     uint256 private _nonce;
 
+    // Workflows allowed to report through the forwarder, keyed by workflowKey(id, owner, name),
+    // so allowing two workflows never allows a mix of their ids, owners and names
+    mapping(bytes32 => bool) public allowedWorkflows;
+
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant DECISION_TYPEHASH =
+        keccak256("Decision(bytes32 requestId,string itemId,uint256 price,string sellerId,string verdict,uint256 valueScore,uint256 referencePrice,uint256 timestamp,string engineVersion)");
+    bytes32 private constant APPROVE_VERDICT = keccak256("APPROVE");
+    bytes32 private constant CAUTION_VERDICT = keccak256("CAUTION");
+    uint256 private constant LEGACY_REPORT_LENGTH = 128;
+    uint8 public constant REPORT_VERSION = 2;
+
     event PurchaseRequested(bytes32 indexed requestId, string itemId, uint256 proposedPrice, string sellerId, address requester);
     event ConfidentialPurchaseRequested(bytes32 indexed requestId, bytes32 intentHash, address requester);
     event ConfidentialPurchaseRevealed(bytes32 indexed requestId, string itemId, uint256 proposedPrice, string sellerId);
     event PurchaseApproved(bytes32 indexed requestId, uint256 referencePrice);
     event PurchaseRejected(bytes32 indexed requestId, uint256 referencePrice, string reason);
     event ReviewSubmitted(bytes32 indexed requestId, string itemId, string sellerId, uint8 quality, uint8 delivery, uint8 value, address reviewer);
+    event UnlinkedReviewSubmitted(bytes32 indexed requestId, uint8 quality, uint8 delivery, uint8 value);
     event ReportReceived(bytes32 indexed requestId, bool approved, uint256 referencePrice);
+    event DecisionRecorded(bytes32 indexed requestId, Verdict verdict, ReasonCode reasonCode, uint8 valueScore, uint256 effectivePrice);
+    event AttestationAccepted(bytes32 indexed requestId, bytes32 digest, address signer);
+    event EscrowDeposited(bytes32 indexed requestId, address token, uint256 amount, address payout);
+    event EscrowReleased(bytes32 indexed requestId, address payout, uint256 amount);
+    event EscrowRefunded(bytes32 indexed requestId, address requester, uint256 amount);
+    event PurchaseExpired(bytes32 indexed requestId, uint256 deadline);
+    event PurchaseCancelled(bytes32 indexed requestId, address requester);
+    event ControllerSet(address indexed agent, address controller);
+    event PolicySet(address indexed agent, SpendingPolicies.SpendingPolicy policy);
+    event SellerRuleSet(address indexed agent, string sellerId, SpendingPolicies.Rule rule);
+    event CategoryRuleSet(address indexed agent, string category, SpendingPolicies.Rule rule);
+    event WorkflowAllowlistSet(bytes32 workflowId, address workflowOwner, bytes10 workflowName, bool allowed);
 
     error Unauthorized();
     error AlreadyFulfilled();
@@ -71,9 +166,25 @@ contract PurchaseGuard is IReceiver {
     error RequestNotFound();
     error NotFulfilled();
     error InvalidForwarder();
+    error InvalidSignature();
+    error AttestationMismatch();
+    error AttestationExpired();
+    error AttestationUsed();
+    error InvalidEscrow();
+    error EscrowNotRefundable();
+    error TransferFailed();
+    error PolicyViolation(string reason);
+    error RequestClosed();
+    error NotExpired();
+    error UnsupportedReportVersion(uint8 version);
+    error InvalidWorkflow(bytes32 workflowId, address workflowOwner, bytes10 workflowName);
 
     modifier onlyOracle() { if (msg.sender != oracle) revert Unauthorized(); _; }
     modifier onlyOwner()  { if (msg.sender != owner)  revert Unauthorized(); _; }
+    modifier onlyPolicyAdmin(address agent) {
+        if (msg.sender != owner && msg.sender != controllers[agent]) revert Unauthorized();
+        _;
+    }
 
     constructor(address _oracle, address _forwarder) {
         oracle = _oracle;
@@ -82,22 +193,57 @@ contract PurchaseGuard is IReceiver {
     }
 
     // Called by KeystoneForwarder after DON consensus
-    // Report: abi.encode(requestId, approved, referencePrice, isConfidential)
-    function onReport(bytes calldata, bytes calldata report) external override {
+    // v1 (legacy): abi.encode(requestId, approved, referencePrice, isConfidential)
+    // v2: abi.encode(uint8 version, requestId, isConfidential, referencePrice, Decision)
+    function onReport(bytes calldata metadata, bytes calldata report) external override {
         if (msg.sender != forwarder) revert InvalidForwarder();
+        _checkWorkflow(metadata);
 
-        (bytes32 requestId, bool approved, uint256 referencePrice, bool isConfidential) =
-            abi.decode(report, (bytes32, bool, uint256, bool));
+        bytes32 requestId;
+        bool isConfidential;
+        uint256 referencePrice;
+        Decision memory decision;
 
-        if (isConfidential) {
-            _fulfillConfidential(requestId, approved, referencePrice);
+        if (report.length == LEGACY_REPORT_LENGTH) {
+            bool approved;
+            (requestId, approved, referencePrice, isConfidential) = abi.decode(report, (bytes32, bool, uint256, bool));
+            decision = _legacyDecision(approved);
         } else {
-            _fulfillStandard(requestId, approved, referencePrice);
+            uint8 version = abi.decode(report[:32], (uint8));
+            if (version != REPORT_VERSION) revert UnsupportedReportVersion(version);
+            (, requestId, isConfidential, referencePrice, decision) =
+                abi.decode(report, (uint8, bytes32, bool, uint256, Decision));
         }
 
+        // The outcome, not the report's verdict: a late report only expires the request
+        bool approved = isConfidential
+            ? _fulfillConfidential(requestId, referencePrice, decision)
+            : _fulfillStandard(requestId, referencePrice, decision);
+
         emit ReportReceived(requestId, approved, referencePrice);
     }
 
+    // Keystone metadata: abi.encodePacked(workflowId, workflowName, workflowOwner[, reportName])
+    function _checkWorkflow(bytes memory metadata) internal view {
+        bytes32 workflowId;
+        bytes10 workflowName;
+        address workflowOwner;
+        if (metadata.length >= 62) {
+            assembly {
+                workflowId := mload(add(metadata, 32))
+                workflowName := mload(add(metadata, 64))
+                workflowOwner := shr(96, mload(add(metadata, 74)))
+            }
+        }
+        if (!allowedWorkflows[workflowKey(workflowId, workflowOwner, workflowName)]) {
+            revert InvalidWorkflow(workflowId, workflowOwner, workflowName);
+        }
+    }
+
+    function workflowKey(bytes32 workflowId, address workflowOwner, bytes10 workflowName) public pure returns (bytes32) {
+        return keccak256(abi.encode(workflowId, workflowOwner, workflowName));
+    }
+
     function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
         return interfaceId == type(IReceiver).interfaceId || interfaceId == type(IERC165).interfaceId;
     }
@@ -107,6 +253,49 @@ contract PurchaseGuard is IReceiver {
         uint256 proposedPrice,
         string calldata sellerId
     ) external returns (bytes32 requestId) {
+        requestId = _createRequest(itemId, proposedPrice, sellerId);
+    }
+
+    // Same as requestPurchase, but pulls `amount` of `token` into escrow (approve it first).
+    // Released to `payout` on approval, refunded on rejection or after escrowTimeout.
+    function requestPurchaseWithEscrow(
+        string calldata itemId,
+        uint256 proposedPrice,
+        string calldata sellerId,
+        address token,
+        uint256 amount,
+        address payout
+    ) external returns (bytes32 requestId) {
+        if (token == address(0) || amount == 0 || payout == address(0)) revert InvalidEscrow();
+
+        requestId = _createRequest(itemId, proposedPrice, sellerId);
+        escrows[requestId] = Escrow({ token: token, amount: amount, payout: payout, settled: false });
+
+        _safeTransferFrom(token, msg.sender, address(this), amount);
+        emit EscrowDeposited(requestId, token, amount, payout);
+    }
+
+    // Refund an escrow whose request was not fulfilled within escrowTimeout; closes the request
+    function refundEscrow(bytes32 requestId) external {
+        PurchaseRequest storage req = requests[requestId];
+        Escrow storage escrow = escrows[requestId];
+        if (req.requester != msg.sender) revert Unauthorized();
+        if (escrow.amount == 0 || escrow.settled || req.fulfilled) revert EscrowNotRefundable();
+        if (block.timestamp < req.timestamp + escrowTimeout) revert EscrowNotRefundable();
+
+        req.cancelled = true;
+        _settleEscrow(requestId, false);
+        emit PurchaseCancelled(requestId, msg.sender);
+    }
+
+    function _createRequest(
+        string calldata itemId,
+        uint256 proposedPrice,
+        string calldata sellerId
+    ) internal returns (bytes32 requestId) {
+        string memory violation = checkPolicy(msg.sender, itemId, proposedPrice, sellerId);
+        if (bytes(violation).length != 0) revert PolicyViolation(violation);
+
         requestId = keccak256(abi.encodePacked(itemId, proposedPrice, sellerId, msg.sender, block.timestamp, _nonce++));
 
         requests[requestId] = PurchaseRequest({
@@ -117,13 +306,19 @@ contract PurchaseGuard is IReceiver {
             fulfilled: false,
             approved: false,
             referencePrice: 0,
-            timestamp: block.timestamp
+            timestamp: block.timestamp,
+            deadline: block.timestamp + requestTtl,
+            expired: false,
+            cancelled: false
         });
 
         emit PurchaseRequested(requestId, itemId, proposedPrice, sellerId, msg.sender);
     }
 
     function requestConfidentialPurchase(bytes32 intentHash) external returns (bytes32 requestId) {
+        SpendingPolicies.SpendingPolicy storage policy = policies[msg.sender];
+        if (policy.active && !policy.allowConfidential) revert PolicyViolation("confidential purchases disabled");
+
         requestId = keccak256(abi.encodePacked(intentHash, msg.sender, block.timestamp, _nonce++));
 
         confidentialRequests[requestId] = ConfidentialRequest({
@@ -133,19 +328,116 @@ contract PurchaseGuard is IReceiver {
             approved: false,
             revealed: false,
             referencePrice: 0,
-            timestamp: block.timestamp
+            timestamp: block.timestamp,
+            deadline: block.timestamp + requestTtl,
+            expired: false,
+            cancelled: false
         });
 
         emit ConfidentialPurchaseRequested(requestId, intentHash, msg.sender);
     }
 
+    // Close a request nobody fulfilled before its deadline; refunds any escrow
+    function cancelRequest(bytes32 requestId) external {
+        PurchaseRequest storage req = requests[requestId];
+        if (req.requester != address(0)) {
+            _checkCancellable(req.requester, req.fulfilled || req.expired || req.cancelled, req.deadline);
+            req.cancelled = true;
+            _settleEscrow(requestId, false);
+        } else {
+            ConfidentialRequest storage creq = confidentialRequests[requestId];
+            if (creq.requester == address(0)) revert RequestNotFound();
+            _checkCancellable(creq.requester, creq.fulfilled || creq.expired || creq.cancelled, creq.deadline);
+            creq.cancelled = true;
+        }
+        emit PurchaseCancelled(requestId, msg.sender);
+    }
+
+    function _checkCancellable(address requester, bool closed, uint256 deadline) internal view {
+        if (requester != msg.sender) revert Unauthorized();
+        if (closed) revert RequestClosed();
+        if (block.timestamp <= deadline) revert NotExpired();
+    }
+
     // Legacy direct oracle calls (kept for backward compat)
     function fulfillOracleDecision(bytes32 requestId, bool approved, uint256 referencePrice) external onlyOracle {
-        _fulfillStandard(requestId, approved, referencePrice);
+        _fulfillStandard(requestId, referencePrice, _legacyDecision(approved));
     }
 
     function fulfillConfidentialDecision(bytes32 requestId, bool approved, uint256 referencePrice) external onlyOracle {
-        _fulfillConfidential(requestId, approved, referencePrice);
+        _fulfillConfidential(requestId, referencePrice, _legacyDecision(approved));
+    }
+
+    function _legacyDecision(bool approved) internal pure returns (Decision memory d) {
+        d.verdict = approved ? Verdict.Approve : Verdict.Reject;
+    }
+
+    // EIP-712 domain separator shared with the decision engine's signer
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes("ValueOracle")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function hashAttestation(DecisionAttestation calldata a) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            DECISION_TYPEHASH,
+            a.requestId,
+            keccak256(bytes(a.itemId)),
+            a.price,
+            keccak256(bytes(a.sellerId)),
+            keccak256(bytes(a.verdict)),
+            a.valueScore,
+            a.referencePrice,
+            a.timestamp,
+            keccak256(bytes(a.engineVersion))
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    // True when the attestation was signed by the configured attestationSigner
+    function verifyAttestation(DecisionAttestation calldata a, bytes calldata signature) public view returns (bool) {
+        if (attestationSigner == address(0)) return false;
+        return _recover(hashAttestation(a), signature) == attestationSigner;
+    }
+
+    // Settle a standard request from a signed offchain decision, without a CRE round trip.
+    // Only the requester may, with an attestation signed for this request after it was made.
+    function fulfillWithAttestation(
+        bytes32 requestId,
+        DecisionAttestation calldata a,
+        bytes calldata signature
+    ) external {
+        PurchaseRequest storage req = requests[requestId];
+        if (req.requester == address(0)) revert RequestNotFound();
+        if (req.requester != msg.sender) revert Unauthorized();
+        if (
+            a.requestId != requestId ||
+            a.timestamp < req.timestamp ||
+            a.price != req.proposedPrice ||
+            keccak256(bytes(a.itemId)) != keccak256(bytes(req.itemId)) ||
+            keccak256(bytes(a.sellerId)) != keccak256(bytes(req.sellerId))
+        ) revert AttestationMismatch();
+        if (a.timestamp + attestationMaxAge < block.timestamp) revert AttestationExpired();
+
+        bytes32 digest = hashAttestation(a);
+        if (usedAttestations[digest]) revert AttestationUsed();
+        if (attestationSigner == address(0) || _recover(digest, signature) != attestationSigner) revert InvalidSignature();
+        usedAttestations[digest] = true;
+
+        emit AttestationAccepted(requestId, digest, attestationSigner);
+
+        // The attestation carries no breakdown or reason, only verdict and score
+        bytes32 verdict = keccak256(bytes(a.verdict));
+        Decision memory decision;
+        decision.verdict = verdict == APPROVE_VERDICT ? Verdict.Approve
+            : verdict == CAUTION_VERDICT ? Verdict.Caution : Verdict.Reject;
+        decision.valueScore = uint8(a.valueScore > 100 ? 100 : a.valueScore);
+        _fulfillStandard(requestId, a.referencePrice, decision);
     }
 
     function revealPurchase(
@@ -165,9 +457,15 @@ contract PurchaseGuard is IReceiver {
         if (computed != req.intentHash) revert InvalidReveal();
 
         req.revealed = true;
+        _revealedIntents[requestId] = [itemId, sellerId];
         emit ConfidentialPurchaseRevealed(requestId, itemId, proposedPrice, sellerId);
+
+        // A review left before the reveal now counts for the item and seller
+        if (reviews[requestId].timestamp != 0) _linkReview(requestId, itemId, sellerId);
     }
 
+    // Standard requests, and approved confidential ones. Before the reveal a confidential
+    // review stays unlinked: stored, but not attributed to any item or seller until revealPurchase.
     function submitReview(
         bytes32 requestId,
         uint8 qualityRating,
@@ -176,8 +474,11 @@ contract PurchaseGuard is IReceiver {
         string calldata comment
     ) external {
         PurchaseRequest storage req = requests[requestId];
-        if (req.requester != msg.sender) revert Unauthorized();
-        if (!req.approved) revert NotApproved();
+        bool confidential = req.requester == address(0);
+        ConfidentialRequest storage creq = confidentialRequests[requestId];
+        address requester = confidential ? creq.requester : req.requester;
+        if (requester != msg.sender) revert Unauthorized();
+        if (!(confidential ? creq.approved : req.approved)) revert NotApproved();
         if (reviews[requestId].timestamp != 0) revert AlreadyReviewed();
         if (qualityRating < 1 || qualityRating > 5 || deliveryRating < 1 || deliveryRating > 5 || valueRating < 1 || valueRating > 5) revert InvalidRating();
 
@@ -191,39 +492,121 @@ contract PurchaseGuard is IReceiver {
             timestamp: block.timestamp
         });
 
-        itemReviews[req.itemId].push(requestId);
-        sellerReviews[req.sellerId].push(requestId);
+        if (!confidential) {
+            _linkReview(requestId, req.itemId, req.sellerId);
+        } else if (creq.revealed) {
+            string[2] storage intent = _revealedIntents[requestId];
+            _linkReview(requestId, intent[0], intent[1]);
+        } else {
+            emit UnlinkedReviewSubmitted(requestId, qualityRating, deliveryRating, valueRating);
+        }
+    }
 
-        emit ReviewSubmitted(requestId, req.itemId, req.sellerId, qualityRating, deliveryRating, valueRating, msg.sender);
+    function _linkReview(bytes32 requestId, string memory itemId, string memory sellerId) internal {
+        AgentReview storage review = reviews[requestId];
+        itemReviews[itemId].push(requestId);
+        sellerReviews[sellerId].push(requestId);
+        emit ReviewSubmitted(
+            requestId, itemId, sellerId, review.qualityRating, review.deliveryRating, review.valueRating, review.reviewer
+        );
     }
 
-    function _fulfillStandard(bytes32 requestId, bool approved, uint256 referencePrice) internal {
+    // Returns whether the request ended up approved
+    function _fulfillStandard(bytes32 requestId, uint256 referencePrice, Decision memory decision) internal returns (bool approved) {
         PurchaseRequest storage req = requests[requestId];
         if (req.requester == address(0)) revert RequestNotFound();
         if (req.fulfilled) revert AlreadyFulfilled();
+        if (req.expired || req.cancelled) revert RequestClosed();
+
+        // A late report may approve a price that is no longer valid — refuse it
+        if (block.timestamp > req.deadline) {
+            req.expired = true;
+            emit PurchaseExpired(requestId, req.deadline);
+            _settleEscrow(requestId, false);
+            return false;
+        }
+
+        // Re-check the policy at approval: it may have changed, or other purchases used the budget
+        approved = decision.verdict == Verdict.Approve;
+        string memory violation;
+        if (approved && policies[req.requester].active) {
+            violation = checkPolicy(req.requester, req.itemId, req.proposedPrice, req.sellerId);
+            if (bytes(violation).length == 0) {
+                SpendingPolicies.record(_spends[req.requester], req.proposedPrice);
+            } else {
+                approved = false;
+                decision.verdict = Verdict.Reject;
+                decision.reasonCode = ReasonCode.SpendingPolicy;
+            }
+        }
 
         req.fulfilled = true;
         req.approved = approved;
         req.referencePrice = referencePrice;
+        _recordDecision(requestId, decision);
 
         if (approved) {
             emit PurchaseApproved(requestId, referencePrice);
+        } else if (bytes(violation).length != 0) {
+            emit PurchaseRejected(requestId, referencePrice, string.concat("Spending policy: ", violation));
+        } else if (decision.reasonCode != ReasonCode.None) {
+            emit PurchaseRejected(requestId, referencePrice, _reasonText(decision.reasonCode));
         } else {
+            // Legacy reports carry no reason; guess from the price
             string memory reason = req.proposedPrice > (referencePrice * 110) / 100
                 ? "Price exceeds market value"
                 : "Seller trust score too low";
             emit PurchaseRejected(requestId, referencePrice, reason);
         }
+
+        _settleEscrow(requestId, approved);
     }
 
-    function _fulfillConfidential(bytes32 requestId, bool approved, uint256 referencePrice) internal {
+    // Pays the seller on approval, refunds the requester otherwise; no-op without escrow
+    function _settleEscrow(bytes32 requestId, bool release) internal {
+        Escrow storage escrow = escrows[requestId];
+        if (escrow.amount == 0 || escrow.settled) return;
+        escrow.settled = true;
+
+        if (release) {
+            _safeTransfer(escrow.token, escrow.payout, escrow.amount);
+            emit EscrowReleased(requestId, escrow.payout, escrow.amount);
+        } else {
+            address requester = requests[requestId].requester;
+            _safeTransfer(escrow.token, requester, escrow.amount);
+            emit EscrowRefunded(requestId, requester, escrow.amount);
+        }
+    }
+
+    // Accepts tokens that return nothing (e.g. USDT) as well as bool-returning ones
+    function _safeTransfer(address token, address to, uint256 amount) internal {
+        (bool ok, bytes memory data) = token.call(abi.encodeCall(IERC20.transfer, (to, amount)));
+        if (!ok || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferFailed();
+    }
+
+    function _safeTransferFrom(address token, address from, address to, uint256 amount) internal {
+        if (token.code.length == 0) revert TransferFailed();
+        (bool ok, bytes memory data) = token.call(abi.encodeCall(IERC20.transferFrom, (from, to, amount)));
+        if (!ok || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferFailed();
+    }
+
+    function _fulfillConfidential(bytes32 requestId, uint256 referencePrice, Decision memory decision) internal returns (bool approved) {
         ConfidentialRequest storage req = confidentialRequests[requestId];
         if (req.requester == address(0)) revert RequestNotFound();
         if (req.fulfilled) revert AlreadyFulfilled();
+        if (req.expired || req.cancelled) revert RequestClosed();
+
+        if (block.timestamp > req.deadline) {
+            req.expired = true;
+            emit PurchaseExpired(requestId, req.deadline);
+            return false;
+        }
 
+        approved = decision.verdict == Verdict.Approve;
         req.fulfilled = true;
         req.approved = approved;
         req.referencePrice = referencePrice;
+        _recordDecision(requestId, decision);
 
         if (approved) {
             emit PurchaseApproved(requestId, referencePrice);
@@ -232,12 +615,94 @@ contract PurchaseGuard is IReceiver {
         }
     }
 
+    function _recordDecision(bytes32 requestId, Decision memory decision) internal {
+        _decisions[requestId] = decision;
+        emit DecisionRecorded(requestId, decision.verdict, decision.reasonCode, decision.valueScore, decision.effectivePrice);
+    }
+
+    // Human-readable rejection reason for a code, as emitted in PurchaseRejected
+    function _reasonText(ReasonCode code) internal pure returns (string memory) {
+        if (code == ReasonCode.FairPrice) return "Fair price and trusted seller";
+        if (code == ReasonCode.SellerBlocked) return "Seller trust critically low";
+        if (code == ReasonCode.StalePrices) return "Reference price may be stale";
+        if (code == ReasonCode.PriceAnomaly) return "Price above recent median";
+        if (code == ReasonCode.PriceAboveMarket) return "Price above market median";
+        if (code == ReasonCode.LowSellerTrust) return "Seller trust too low";
+        if (code == ReasonCode.LowQuality) return "Low product quality";
+        if (code == ReasonCode.LowValueScore) return "Value score below threshold";
+        if (code == ReasonCode.SpendingPolicy) return "Spending policy";
+        return "";
+    }
+
+    // Empty string when the purchase fits the agent's policy (or it has none), else the reason
+    function checkPolicy(
+        address agent,
+        string memory itemId,
+        uint256 price,
+        string memory sellerId
+    ) public view returns (string memory) {
+        return SpendingPolicies.check(
+            policies[agent], sellerRules[agent], categoryRules[agent], _spends[agent], itemId, price, sellerId
+        );
+    }
+
+    function categoryOf(string memory itemId) external pure returns (string memory) {
+        return SpendingPolicies.categoryOf(itemId);
+    }
+
+    // Approved spend today and over the last 7 days, by UTC day
+    function spentInWindows(address agent) external view returns (uint256 daily, uint256 weekly) {
+        return SpendingPolicies.spent(_spends[agent]);
+    }
+
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        if (signature.length != 65) return address(0);
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        // Reject malleable signatures (upper-half s), as in EIP-2
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) return address(0);
+        return ecrecover(digest, v, r, s);
+    }
+
     function getReview(bytes32 requestId) external view returns (AgentReview memory) { return reviews[requestId]; }
     function getItemReviewCount(string calldata itemId) external view returns (uint256) { return itemReviews[itemId].length; }
     function getSellerReviewCount(string calldata sellerId) external view returns (uint256) { return sellerReviews[sellerId].length; }
     function getConfidentialRequest(bytes32 requestId) external view returns (ConfidentialRequest memory) { return confidentialRequests[requestId]; }
     function getRequest(bytes32 requestId) external view returns (PurchaseRequest memory) { return requests[requestId]; }
+    function getEscrow(bytes32 requestId) external view returns (Escrow memory) { return escrows[requestId]; }
+    function getDecision(bytes32 requestId) external view returns (Decision memory) { return _decisions[requestId]; }
 
     function setOracle(address _oracle) external onlyOwner { oracle = _oracle; }
     function setForwarder(address _forwarder) external onlyOwner { forwarder = _forwarder; }
+    function setAttestationSigner(address _signer) external onlyOwner { attestationSigner = _signer; }
+    function setAttestationMaxAge(uint256 _maxAge) external onlyOwner { attestationMaxAge = _maxAge; }
+    function setEscrowTimeout(uint256 _timeout) external onlyOwner { escrowTimeout = _timeout; }
+    function setRequestTtl(uint256 _ttl) external onlyOwner { requestTtl = _ttl; }
+
+    function setWorkflowAllowed(bytes32 workflowId, address workflowOwner, bytes10 workflowName, bool allowed) external onlyOwner {
+        allowedWorkflows[workflowKey(workflowId, workflowOwner, workflowName)] = allowed;
+        emit WorkflowAllowlistSet(workflowId, workflowOwner, workflowName, allowed);
+    }
+
+    // Controllers manage the policies of the agent wallets they are assigned to
+    function setController(address agent, address controller) external onlyOwner {
+        controllers[agent] = controller;
+        emit ControllerSet(agent, controller);
+    }
+
+    function setPolicy(address agent, SpendingPolicies.SpendingPolicy calldata policy) external onlyPolicyAdmin(agent) {
+        policies[agent] = policy;
+        emit PolicySet(agent, policy);
+    }
+
+    function setSellerRule(address agent, string calldata sellerId, SpendingPolicies.Rule rule) external onlyPolicyAdmin(agent) {
+        sellerRules[agent][keccak256(bytes(sellerId))] = rule;
+        emit SellerRuleSet(agent, sellerId, rule);
+    }
+
+    function setCategoryRule(address agent, string calldata category, SpendingPolicies.Rule rule) external onlyPolicyAdmin(agent) {
+        categoryRules[agent][keccak256(bytes(category))] = rule;
+        emit CategoryRuleSet(agent, category, rule);
+    }
 }
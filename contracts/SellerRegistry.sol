@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IPurchaseGuard {
+    function sellerReviews(string calldata sellerId, uint256 index) external view returns (bytes32);
+}
+
+// Binds marketplace sellerIds to controlling addresses. A seller's controller can answer
+// each PurchaseGuard review once and dispute it; the owner or an arbiter rules on disputes.
+// Reviews are addressed as (sellerId, index into PurchaseGuard.sellerReviews), which proves
+// the review belongs to that seller.
+contract SellerRegistry {
+    struct Seller {
+        address controller;
+        uint256 registeredAt;
+    }
+
+    // Upheld: the review is fraudulent and excluded from seller stats
+    enum DisputeStatus { None, Open, Upheld, Dismissed }
+
+    IPurchaseGuard public immutable guard;
+    address public owner;
+
+    mapping(string => Seller) public sellers;
+    mapping(bytes32 => string) public responses;       // review requestId => seller response
+    mapping(bytes32 => DisputeStatus) public disputes; // review requestId => status
+    mapping(address => bool) public arbiters;
+
+    event SellerRegistered(string sellerId, address controller);
+    event ReviewResponded(bytes32 indexed requestId, string sellerId, string response);
+    event DisputeOpened(bytes32 indexed requestId, string sellerId, string reason);
+    event DisputeResolved(bytes32 indexed requestId, string sellerId, bool fraudulent, address arbiter);
+    event ArbiterSet(address indexed arbiter, bool allowed);
+
+    error Unauthorized();
+    error InvalidController();
+    error ReviewNotFound();
+    error AlreadyResponded();
+    error EmptyResponse();
+    error DisputeExists();
+    error AlreadyResolved();
+
+    modifier onlyOwner() { if (msg.sender != owner) revert Unauthorized(); _; }
+    modifier onlyArbiter() { if (msg.sender != owner && !arbiters[msg.sender]) revert Unauthorized(); _; }
+    modifier onlySeller(string calldata sellerId) {
+        if (msg.sender != sellers[sellerId].controller) revert Unauthorized();
+        _;
+    }
+
+    constructor(address _guard) {
+        guard = IPurchaseGuard(_guard);
+        owner = msg.sender;
+    }
+
+    // Owner binds (or rebinds, e.g. after a lost key) a sellerId once the marketplace has verified it
+    function registerSeller(string calldata sellerId, address controller) external onlyOwner {
+        if (controller == address(0)) revert InvalidController();
+        Seller storage seller = sellers[sellerId];
+        if (seller.registeredAt == 0) seller.registeredAt = block.timestamp;
+        seller.controller = controller;
+        emit SellerRegistered(sellerId, controller);
+    }
+
+    function transferSeller(string calldata sellerId, address controller) external onlySeller(sellerId) {
+        if (controller == address(0)) revert InvalidController();
+        sellers[sellerId].controller = controller;
+        emit SellerRegistered(sellerId, controller);
+    }
+
+    function respondToReview(string calldata sellerId, uint256 index, string calldata response)
+        external
+        onlySeller(sellerId)
+    {
+        if (bytes(response).length == 0) revert EmptyResponse();
+        bytes32 requestId = _review(sellerId, index);
+        if (bytes(responses[requestId]).length != 0) revert AlreadyResponded();
+
+        responses[requestId] = response;
+        emit ReviewResponded(requestId, sellerId, response);
+    }
+
+    function openDispute(string calldata sellerId, uint256 index, string calldata reason) external onlySeller(sellerId) {
+        bytes32 requestId = _review(sellerId, index);
+        if (disputes[requestId] != DisputeStatus.None) revert DisputeExists();
+
+        disputes[requestId] = DisputeStatus.Open;
+        emit DisputeOpened(requestId, sellerId, reason);
+    }
+
+    // Rules on an open dispute, or flags a review directly. Rulings are final.
+    function resolveDispute(string calldata sellerId, uint256 index, bool fraudulent) external onlyArbiter {
+        bytes32 requestId = _review(sellerId, index);
+        DisputeStatus status = disputes[requestId];
+        if (status == DisputeStatus.Upheld || status == DisputeStatus.Dismissed) revert AlreadyResolved();
+
+        disputes[requestId] = fraudulent ? DisputeStatus.Upheld : DisputeStatus.Dismissed;
+        emit DisputeResolved(requestId, sellerId, fraudulent, msg.sender);
+    }
+
+    function setArbiter(address arbiter, bool allowed) external onlyOwner {
+        arbiters[arbiter] = allowed;
+        emit ArbiterSet(arbiter, allowed);
+    }
+
+    function _review(string calldata sellerId, uint256 index) internal view returns (bytes32) {
+        try guard.sellerReviews(sellerId, index) returns (bytes32 requestId) {
+            return requestId;
+        } catch {
+            revert ReviewNotFound();
+        }
+    }
+}
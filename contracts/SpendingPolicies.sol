@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Per-agent spending policy checks for PurchaseGuard. A linked library, so the checks
+// live outside the guard's bytecode; the guard keeps the storage and passes it in.
+library SpendingPolicies {
+    // Per-agent limits, set by the owner or the agent's controller. Zero limits are unlimited.
+    struct SpendingPolicy {
+        bool active;
+        bool allowConfidential;    // confidential prices are hidden, so limits cannot be checked
+        bool sellerAllowlistOnly;  // only sellers marked Allowed
+        bool categoryAllowlistOnly; // only categories marked Allowed
+        uint256 maxPurchase;
+        uint256 dailyLimit;        // current UTC day
+        uint256 weeklyLimit;       // current and previous 6 UTC days
+    }
+
+    enum Rule { None, Allowed, Blocked }
+
+    // Approved spend of one UTC day, kept in slot day % 7; a slot from an older day is stale
+    struct DaySpend {
+        uint64 day;
+        uint192 amount;
+    }
+
+    // Same signature as PurchaseGuard's, so callers decode it against the guard's ABI
+    error PolicyViolation(string reason);
+
+    // Empty string when the purchase fits the policy (or it is inactive), else the reason
+    function check(
+        SpendingPolicy storage policy,
+        mapping(bytes32 => Rule) storage sellerRules,
+        mapping(bytes32 => Rule) storage categoryRules,
+        DaySpend[7] storage spends,
+        string memory itemId,
+        uint256 price,
+        string memory sellerId
+    ) public view returns (string memory) {
+        if (!policy.active) return "";
+
+        Rule seller = sellerRules[keccak256(bytes(sellerId))];
+        if (seller == Rule.Blocked) return "seller blocked";
+        if (policy.sellerAllowlistOnly && seller != Rule.Allowed) return "seller not allowed";
+
+        Rule category = categoryRules[keccak256(bytes(categoryOf(itemId)))];
+        if (category == Rule.Blocked) return "category blocked";
+        if (policy.categoryAllowlistOnly && category != Rule.Allowed) return "category not allowed";
+
+        if (policy.maxPurchase != 0 && price > policy.maxPurchase) return "exceeds max purchase";
+        if (price > type(uint192).max) return "price too large";
+        (uint256 daily, uint256 weekly) = spent(spends);
+        if (policy.dailyLimit != 0 && daily + price > policy.dailyLimit) return "exceeds daily limit";
+        if (policy.weeklyLimit != 0 && weekly + price > policy.weeklyLimit) return "exceeds weekly limit";
+        return "";
+    }
+
+    // Approved spend today and over the last 7 UTC days
+    function spent(DaySpend[7] storage spends) public view returns (uint256 daily, uint256 weekly) {
+        uint256 today = block.timestamp / 1 days;
+        for (uint256 i = 0; i < 7; i++) {
+            DaySpend storage s = spends[i];
+            if (s.day + 7 <= today) continue;
+            weekly += s.amount;
+            if (s.day == today) daily += s.amount;
+        }
+    }
+
+    function record(DaySpend[7] storage spends, uint256 amount) public {
+        uint64 today = uint64(block.timestamp / 1 days);
+        DaySpend storage s = spends[today % 7];
+        if (s.day != today) (s.day, s.amount) = (today, 0);
+        if (amount > type(uint192).max - s.amount) revert PolicyViolation("price too large");
+        s.amount += uint192(amount);
+    }
+
+    // Item category is the itemId prefix before the first '-' ("laptop-001" → "laptop")
+    function categoryOf(string memory itemId) public pure returns (string memory) {
+        bytes memory id = bytes(itemId);
+        for (uint256 i = 0; i < id.length; i++) {
+            if (id[i] == "-") {
+                bytes memory prefix = new bytes(i);
+                for (uint256 j = 0; j < i; j++) prefix[j] = id[j];
+                return string(prefix);
+            }
+        }
+        return itemId;
+    }
+}
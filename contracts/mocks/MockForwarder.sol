@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IReceiver {
+    function onReport(bytes calldata metadata, bytes calldata report) external;
+}
+
+// Stands in for the KeystoneForwarder in tests: delivers a report with the metadata a
+// workflow run would carry. Anyone can call it, so tests can impersonate any workflow.
+contract MockForwarder {
+    bytes2 public constant REPORT_NAME = 0x0001;
+
+    function deliver(
+        address receiver,
+        bytes32 workflowId,
+        bytes10 workflowName,
+        address workflowOwner,
+        bytes calldata report
+    ) external {
+        IReceiver(receiver).onReport(abi.encodePacked(workflowId, workflowName, workflowOwner, REPORT_NAME), report);
+    }
+}
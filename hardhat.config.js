@@ -1,5 +1,14 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { networkNames, resolveNetwork } = require("./api/networks");
+
+// One network per profile in api/networks.js: sepolia, localhost (`npx hardhat node`)
+// and any network defined by a deployments/<name>.json file
+const networks = {};
+for (const name of networkNames()) {
+  const { rpcUrl, chainId, privateKey } = resolveNetwork(name);
+  networks[name] = { url: rpcUrl || "", chainId, accounts: privateKey ? [privateKey] : [] };
+}
 
 module.exports = {
   solidity: {
@@ -11,10 +20,5 @@ module.exports = {
       }
     }
   },
-  networks: {
-    sepolia: {
-      url: process.env.SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
-    }
-  }
+  networks
 };
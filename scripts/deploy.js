@@ -1,21 +1,79 @@
+// Deploys PurchaseGuard and SellerRegistry to the --network given to `hardhat run` and
+// records the addresses in deployments/<network>.json for the CLI, API and scripts.
 const hre = require("hardhat");
+const { saveDeployment } = require("../api/networks");
 
-// Sepolia MockKeystoneForwarder — used for CRE simulation
-const MOCK_FORWARDER_SEPOLIA = "0x15fC6ae953E024d975e77382eEeC56A9101f9F88";
+// Sepolia MockKeystoneForwarder — used for CRE simulation. Networks without one
+// (localhost) get a MockForwarder; FORWARDER_ADDRESS overrides both.
+const FORWARDERS = { sepolia: "0x15fC6ae953E024d975e77382eEeC56A9101f9F88" };
 
 async function main() {
+  const network = hre.network.name;
   const [deployer] = await hre.ethers.getSigners();
+  console.log(`Network: ${network}`);
   console.log(`Deployer: ${deployer.address}`);
 
+  let forwarder = process.env.FORWARDER_ADDRESS || FORWARDERS[network];
+  if (!forwarder) {
+    const mock = await (await hre.ethers.getContractFactory("MockForwarder")).deploy();
+    await mock.waitForDeployment();
+    forwarder = await mock.getAddress();
+    console.log(`MockForwarder deployed: ${forwarder}`);
+  }
+
+  // Spending policy checks are a linked library, kept out of PurchaseGuard's bytecode
+  const library = await (await hre.ethers.getContractFactory("SpendingPolicies")).deploy();
+  await library.waitForDeployment();
+  const spendingPolicies = await library.getAddress();
+  console.log(`SpendingPolicies deployed: ${spendingPolicies}`);
+
   // Demo: deployer acts as oracle. In production, use Chainlink CRE node address.
-  const PurchaseGuard = await hre.ethers.getContractFactory("PurchaseGuard");
-  const contract = await PurchaseGuard.deploy(deployer.address, MOCK_FORWARDER_SEPOLIA);
+  const PurchaseGuard = await hre.ethers.getContractFactory("PurchaseGuard", { libraries: { SpendingPolicies: spendingPolicies } });
+  const contract = await PurchaseGuard.deploy(deployer.address, forwarder);
   await contract.waitForDeployment();
 
   const addr = await contract.getAddress();
   console.log(`PurchaseGuard deployed: ${addr}`);
-  console.log(`Forwarder: ${MOCK_FORWARDER_SEPOLIA}`);
-  console.log(`\nCONTRACT_ADDRESS=${addr}`);
+  console.log(`Forwarder: ${forwarder}`);
+
+  // Decision engine key that signs EIP-712 attestations (ATTESTATION_PRIVATE_KEY on the API)
+  if (process.env.ATTESTATION_SIGNER) {
+    await (await contract.setAttestationSigner(process.env.ATTESTATION_SIGNER)).wait();
+    console.log(`Attestation signer: ${process.env.ATTESTATION_SIGNER}`);
+  }
+
+  // Only our CRE workflow may report through the forwarder (WORKFLOW_NAME is the bytes10 value from report metadata)
+  const { WORKFLOW_ID, WORKFLOW_OWNER, WORKFLOW_NAME } = process.env;
+  if (WORKFLOW_ID && WORKFLOW_OWNER && WORKFLOW_NAME) {
+    await (await contract.setWorkflowAllowed(WORKFLOW_ID, WORKFLOW_OWNER, WORKFLOW_NAME, true)).wait();
+    console.log(`Allowed workflow: ${WORKFLOW_ID} (${WORKFLOW_NAME}) owned by ${WORKFLOW_OWNER}`);
+  } else {
+    console.log('No WORKFLOW_ID/WORKFLOW_OWNER/WORKFLOW_NAME set: onReport refuses all reports until setWorkflowAllowed is called');
+  }
+
+  // Seller identities, review responses and disputes for this guard's reviews
+  const SellerRegistry = await hre.ethers.getContractFactory("SellerRegistry");
+  const registry = await SellerRegistry.deploy(addr);
+  await registry.waitForDeployment();
+  const registryAddr = await registry.getAddress();
+  console.log(`SellerRegistry deployed: ${registryAddr}`);
+
+  // The in-process hardhat network is gone when this script exits: nothing to record
+  if (network !== "hardhat") {
+    const { blockNumber } = await contract.deploymentTransaction().wait();
+    const file = saveDeployment(network, {
+      network,
+      chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+      contract: addr,
+      registry: registryAddr,
+      spendingPolicies,
+      forwarder,
+      deployer: deployer.address,
+      blockNumber,
+      deployedAt: new Date().toISOString()
+    });
+    console.log(`\nDeployment written to ${file}`);
+  }
 }
 
 main().then(() => process.exit(0)).catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,194 @@
+// Local stand-in for the CRE workflow (valueoracle-cre/purchase-guard/main.ts), so the
+// full loop runs against a Hardhat node without the DON:
+//   PurchaseRequested / ConfidentialPurchaseRequested → intent lookup → decision API
+//   → v2 report (same encoding as writeDecisionOnchain) → MockForwarder → onReport
+//
+// node scripts/localCre.js --network localhost
+// Needs the API (DECISION_API_URL, CRE_API_KEY unless API_AUTH=off) and a deployment with a
+// MockForwarder (scripts/deploy.js --network localhost). Confidential results are encrypted
+// under the requester's registered result key, as the workflow asks for.
+
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { VERDICTS, REASON_CODES } = require('../api/reportCodes');
+
+const REPORT_VERSION = 2;
+const DECISION = 'tuple(uint8 verdict, uint8 reasonCode, uint8 valueScore, uint8 priceFairness, uint8 qualitySignal, uint8 sellerTrust, uint8 valueRatio, uint256 effectivePrice)';
+
+// Identity the runner reports under; the guard must allow it (setWorkflowAllowed)
+const LOCAL_WORKFLOW = {
+  id: ethers.id('valueoracle-local-cre'),
+  name: ethers.hexlify(ethers.toUtf8Bytes('localcre00')) // bytes10
+};
+
+const GUARD_ABI = [
+  'event PurchaseRequested(bytes32 indexed requestId, string itemId, uint256 proposedPrice, string sellerId, address requester)',
+  'event ConfidentialPurchaseRequested(bytes32 indexed requestId, bytes32 intentHash, address requester)',
+  'function owner() view returns (address)',
+  'function allowedWorkflows(bytes32) view returns (bool)',
+  'function workflowKey(bytes32 workflowId, address workflowOwner, bytes10 workflowName) pure returns (bytes32)',
+  'function setWorkflowAllowed(bytes32 workflowId, address workflowOwner, bytes10 workflowName, bool allowed)'
+];
+
+const FORWARDER_ABI = [
+  'function deliver(address receiver, bytes32 workflowId, bytes10 workflowName, address workflowOwner, bytes report)'
+];
+
+// Unknown names map to 0 (NONE), as in the workflow
+const indexOf = (names, name) => Math.max(names.indexOf(name), 0);
+
+// Report fields are unsigned: a coupon or cashback above the price makes the effective
+// price negative, and a missing value is NaN, either of which the ABI encoder refuses
+const uint = (value) => Math.max(0, Math.round(Number(value) || 0));
+
+// Confidential reports carry only the verdict — scores and the effective price would leak the hidden price
+function confidentialDecision(approved) {
+  return {
+    verdict: approved ? 'APPROVE' : 'REJECT',
+    reasonCode: 'NONE',
+    valueScore: 0,
+    breakdown: { priceFairness: 0, qualitySignal: 0, sellerTrust: 0, valueRatio: 0 },
+    effectivePrice: 0
+  };
+}
+
+// (version, requestId, isConfidential, referencePrice, Decision), as writeDecisionOnchain encodes it
+function encodeReport(requestId, referencePrice, decision, isConfidential) {
+  const { breakdown } = decision;
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint8', 'bytes32', 'bool', 'uint256', DECISION],
+    [
+      REPORT_VERSION, requestId, isConfidential, BigInt(uint(referencePrice)),
+      [
+        indexOf(VERDICTS, decision.verdict), indexOf(REASON_CODES, decision.reasonCode), uint(decision.valueScore),
+        uint(breakdown.priceFairness), uint(breakdown.qualitySignal), uint(breakdown.sellerTrust), uint(breakdown.valueRatio),
+        BigInt(uint(decision.effectivePrice))
+      ]
+    ]
+  );
+}
+
+// guard: PurchaseGuard address; forwarder: a MockForwarder contract connected to the
+// transmitting signer, whose address also stands in as the workflow owner
+function createLocalWorkflow({ provider, guard, forwarder, apiUrl, apiKey, encrypt = false, fromBlock = 0, log = console.log }) {
+  const contract = new ethers.Contract(guard, GUARD_ABI, provider);
+  const headers = { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) };
+  let next = fromBlock;
+  let timer = null;
+
+  async function api(method, path, body) {
+    const res = await fetch(`${apiUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    const data = await res.json();
+    if (!res.ok) throw new Error(`${method} ${path} returned ${res.status}: ${data.error || ''}`);
+    return data;
+  }
+
+  async function deliver(requestId, referencePrice, decision, isConfidential) {
+    const owner = await forwarder.runner.getAddress();
+    const report = encodeReport(requestId, referencePrice, decision, isConfidential);
+    const receipt = await (await forwarder.deliver(guard, LOCAL_WORKFLOW.id, LOCAL_WORKFLOW.name, owner, report)).wait();
+    log(`  report delivered: tx=${receipt.hash.slice(0, 14)}...`);
+  }
+
+  // snapshotId pins the evaluation to one market snapshot, as the DON nodes do
+  async function onPurchaseRequested({ requestId, itemId, proposedPrice, sellerId }) {
+    log(`Purchase request detected: requestId=${requestId} item=${itemId} price=$${proposedPrice} seller=${sellerId}`);
+    const result = await api('POST', '/evaluate', { itemId, price: Number(proposedPrice), sellerId, snapshotId: requestId });
+    log(`  verdict=${result.verdict} score=${result.valueScore} ref=$${result.referencePrice} reason=${result.reasonCode}`);
+    await deliver(requestId, result.referencePrice, result, false);
+  }
+
+  async function onConfidentialPurchaseRequested({ requestId, intentHash, requester }) {
+    log(`Confidential purchase detected: requestId=${requestId.slice(0, 12)}... intentHash=${intentHash.slice(0, 12)}...`);
+    const intent = await api('GET', `/intent/${intentHash}`);
+    if (intent.requester.toLowerCase() !== requester.toLowerCase()) {
+      log(`  intent requester mismatch: intent=${intent.requester} onchain=${requester}`);
+      return;
+    }
+
+    const result = await api('POST', '/evaluate-confidential', {
+      intentHash, itemId: intent.itemId, price: intent.price, sellerId: intent.sellerId, encrypt
+    });
+    log(`  approved=${result.approved}${result.encrypted ? ' (encrypted result)' : ''}`);
+    await deliver(requestId, result.referencePrice, confidentialDecision(result.approved), true);
+  }
+
+  const HANDLERS = { PurchaseRequested: onPurchaseRequested, ConfidentialPurchaseRequested: onConfidentialPurchaseRequested };
+
+  // Handles every request event up to the current block, in chain order. A failed
+  // request is logged and skipped, like a failed workflow run.
+  async function poll() {
+    const head = await provider.getBlockNumber();
+    if (next > head) return 0;
+
+    const events = (await Promise.all(Object.keys(HANDLERS).map(name => contract.queryFilter(name, next, head))))
+      .flat()
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    next = head + 1;
+
+    for (const event of events) {
+      try {
+        await HANDLERS[event.eventName](event.args.toObject());
+      } catch (err) {
+        log(`  ${event.eventName} ${event.args.requestId} failed: ${err.message}`);
+      }
+    }
+    return events.length;
+  }
+
+  // Allows this runner's workflow identity on the guard (the signer must own it)
+  async function allowOnGuard() {
+    const owner = await forwarder.runner.getAddress();
+    const key = await contract.workflowKey(LOCAL_WORKFLOW.id, owner, LOCAL_WORKFLOW.name);
+    if (await contract.allowedWorkflows(key)) return false;
+
+    const admin = contract.connect(forwarder.runner);
+    await (await admin.setWorkflowAllowed(LOCAL_WORKFLOW.id, owner, LOCAL_WORKFLOW.name, true)).wait();
+    return true;
+  }
+
+  function start(intervalMs = 2000) {
+    const tick = () => poll()
+      .catch(err => log(`poll failed: ${err.message}`))
+      .finally(() => { if (timer) timer = setTimeout(tick, intervalMs); });
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { poll, start, stop, allowOnGuard };
+}
+
+async function main() {
+  const { resolveNetwork, getProvider, checkChain } = require('../api/networks');
+  const network = resolveNetwork();
+  if (!network.contract || !network.forwarder) {
+    throw new Error(`No deployment with a forwarder for ${network.name}: run scripts/deploy.js --network ${network.name}`);
+  }
+
+  const provider = getProvider(network);
+  await checkChain(provider, network);
+  const signer = new ethers.Wallet(network.privateKey, provider);
+  const workflow = createLocalWorkflow({
+    provider,
+    guard: network.contract,
+    forwarder: new ethers.Contract(network.forwarder, FORWARDER_ABI, signer),
+    apiUrl: process.env.DECISION_API_URL || 'http://localhost:3000',
+    apiKey: process.env.CRE_API_KEY,
+    encrypt: true,
+    fromBlock: network.startBlock
+  });
+
+  if (await workflow.allowOnGuard()) console.log(`Allowed local workflow ${LOCAL_WORKFLOW.id} on ${network.contract}`);
+  console.log(`Local CRE runner on ${network.name}: guard ${network.contract}, forwarder ${network.forwarder}`);
+  workflow.start(Number(process.env.LOCAL_CRE_INTERVAL_MS || 2000));
+}
+
+if (require.main === module) {
+  main().catch(err => { console.error(err.message); process.exit(1); });
+}
+
+module.exports = { LOCAL_WORKFLOW, FORWARDER_ABI, encodeReport, confidentialDecision, createLocalWorkflow };
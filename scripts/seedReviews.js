@@ -1,9 +1,10 @@
-// Seed onchain reviews on PurchaseGuard (Sepolia).
+// Seed onchain reviews on PurchaseGuard: node scripts/seedReviews.js [--network localhost]
 // Flow per review: requestPurchase → fulfillOracleDecision(approved) → submitReview
 // Deployer is both requester and oracle (demo setup).
 
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { resolveNetwork, getProvider, checkChain } = require('../api/networks');
 
 const ABI = [
   'function requestPurchase(string itemId, uint256 proposedPrice, string sellerId) returns (bytes32)',
@@ -20,11 +21,14 @@ const reviews = [
 ];
 
 async function main() {
-  const provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, ABI, wallet);
-
-  console.log(`Seeding ${reviews.length} onchain reviews on ${process.env.CONTRACT_ADDRESS}`);
+  const network = resolveNetwork();
+  if (!network.contract) throw new Error(`No PurchaseGuard deployment for ${network.name}`);
+  const provider = getProvider(network);
+  await checkChain(provider, network);
+  const wallet = new ethers.Wallet(network.privateKey, provider);
+  const contract = new ethers.Contract(network.contract, ABI, wallet);
+
+  console.log(`Seeding ${reviews.length} onchain reviews on ${network.contract} (${network.name})`);
   console.log(`Wallet: ${wallet.address}\n`);
 
   for (const r of reviews) {
@@ -1,23 +1,24 @@
-// Send a ConfidentialPurchaseRequested tx on Sepolia for CRE simulate testing.
+// Send a ConfidentialPurchaseRequested tx for CRE simulate testing:
+// npx hardhat run scripts/sendConfidentialPurchase.js --network sepolia
 const hre = require("hardhat");
+const { resolveNetwork } = require("../api/networks");
 
 async function main() {
   const [signer] = await hre.ethers.getSigners();
-  const contractAddr = "0x22BEa4788e8AaFF94D3D575AA23Ec429AD198fFc";
+  const { contract } = resolveNetwork(hre.network.name);
+  if (!contract) throw new Error(`No PurchaseGuard deployment for ${hre.network.name}`);
+  const PurchaseGuard = await hre.ethers.getContractAt("PurchaseGuard", contract);
 
-  const PurchaseGuard = await hre.ethers.getContractAt("PurchaseGuard", contractAddr);
-
-  // Create an intent hash: keccak256(itemId, price, sellerId, salt)
-  const salt = hre.ethers.randomBytes(32);
-  const intentHash = hre.ethers.keccak256(
-    hre.ethers.AbiCoder.defaultAbiCoder().encode(
-      ["string", "uint256", "string", "bytes32"],
-      ["laptop-001", 1100, "seller-42", salt]
-    )
+  // Same commitment revealPurchase checks: keccak256(abi.encodePacked(itemId, price, sellerId, salt))
+  const salt = hre.ethers.hexlify(hre.ethers.randomBytes(32));
+  const intentHash = hre.ethers.solidityPackedKeccak256(
+    ["string", "uint256", "string", "bytes32"],
+    ["laptop-001", 1100, "seller-42", salt]
   );
 
   console.log(`Sender: ${signer.address}`);
   console.log(`Intent hash: ${intentHash}`);
+  console.log(`Salt: ${salt}`);
 
   const tx = await PurchaseGuard.requestConfidentialPurchase(intentHash);
   console.log(`Tx hash: ${tx.hash}`);
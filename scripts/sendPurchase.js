@@ -1,9 +1,12 @@
-// Send a PurchaseRequested tx on Sepolia for CRE simulate testing.
+// Send a PurchaseRequested tx for CRE simulate testing:
+// npx hardhat run scripts/sendPurchase.js --network sepolia
 const hre = require("hardhat");
+const { resolveNetwork } = require("../api/networks");
 
 async function main() {
-  const contractAddr = "0x22BEa4788e8AaFF94D3D575AA23Ec429AD198fFc";
-  const PurchaseGuard = await hre.ethers.getContractAt("PurchaseGuard", contractAddr);
+  const { contract } = resolveNetwork(hre.network.name);
+  if (!contract) throw new Error(`No PurchaseGuard deployment for ${hre.network.name}`);
+  const PurchaseGuard = await hre.ethers.getContractAt("PurchaseGuard", contract);
 
   const tx = await PurchaseGuard.requestPurchase("laptop-001", 1100, "seller-42");
   console.log(`Tx hash: ${tx.hash}`);
@@ -1,9 +1,16 @@
 /**
  * End-to-end CRE workflow simulation.
- * Requires the decision API to be running (npm run api).
+ * Requires the decision API to be running (npm run api). With --replay it starts the
+ * API in-process on the recorded source fixtures instead: deterministic, no network.
  */
 
-const API = 'http://localhost:3000';
+const REPLAY = process.argv.includes('--replay');
+let API = 'http://localhost:3000';
+
+// Sent as a bearer token when the API enforces keys (API_AUTH=on)
+const headers = process.env.VALUEORACLE_API_KEY
+  ? { Authorization: `Bearer ${process.env.VALUEORACLE_API_KEY}` }
+  : {};
 
 const scenarios = [
   { name: "Fair purchase",     itemId: "laptop-001", price: 1100, sellerId: "seller-42",  expect: true },
@@ -17,15 +24,15 @@ const scenarios = [
 async function evaluate(itemId, price, sellerId) {
   const res = await fetch(`${API}/evaluate`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...headers },
     body: JSON.stringify({ itemId, price, sellerId })
   });
-  if (!res.ok) throw new Error(`API ${res.status}`);
+  if (!res.ok) throw new Error(`API ${res.status}${res.status === 401 ? ' (set VALUEORACLE_API_KEY)' : ''}`);
   return res.json();
 }
 
 async function run() {
-  console.log('ValueOracle CRE Simulation\n');
+  console.log(`ValueOracle CRE Simulation${REPLAY ? ' (replaying source fixtures)' : ''}\n`);
 
   let passed = 0;
 
@@ -43,7 +50,9 @@ async function run() {
         ? `  eff=$${d.effectivePrice}` : '';
       const reviewInfo = d.seller.reviewStats
         ? `  reviews=${d.seller.reviewStats.count}(${d.seller.reviewStats.overall}/5)` : '';
-      console.log(`${tag}  score=${d.valueScore}  ${verdict}  ref=$${d.referencePrice}${dealInfo}${reviewInfo}  "${d.reason}"`);
+      const liveInfo = `  live=${d.freshness.live}/${d.freshness.total}`
+        + (d.freshness.cached ? ` cached=${d.freshness.cached}` : '');
+      console.log(`${tag}  score=${d.valueScore}  ${verdict}  ref=$${d.referencePrice}${dealInfo}${reviewInfo}${liveInfo}  "${d.reason}"`);
     } catch (err) {
       console.log(`ERR   ${err.message}`);
     }
@@ -52,8 +61,8 @@ async function run() {
   // Review API check
   console.log('\nReview API:');
   try {
-    const sellerRes = await fetch(`${API}/reviews/seller/seller-42`).then(r => r.json());
-    const itemRes = await fetch(`${API}/reviews/item/laptop-001`).then(r => r.json());
+    const sellerRes = await fetch(`${API}/reviews/seller/seller-42`, { headers }).then(r => r.json());
+    const itemRes = await fetch(`${API}/reviews/item/laptop-001`, { headers }).then(r => r.json());
     console.log(`  seller-42: ${sellerRes.reviews.length} reviews, avg ${sellerRes.stats.overall}/5`);
     console.log(`  laptop-001: ${itemRes.reviews.length} reviews`);
   } catch (err) {
@@ -64,9 +73,31 @@ async function run() {
   process.exit(passed === scenarios.length ? 0 : 1);
 }
 
-fetch(`${API}/health`)
-  .then(() => run())
-  .catch(() => {
-    console.error('Decision API not reachable. Start it with: npm run api');
+// SOURCES_MODE=replay, a throwaway data dir and no LLM call, so every run sees the same inputs.
+// Replayed prices are cached quotes and only marketplaceA is live, so one live source suffices.
+async function startReplayApi() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { once } = require('events');
+
+  Object.assign(process.env, {
+    SOURCES_MODE: 'replay',
+    API_AUTH: 'off',
+    GROQ_API_KEY: '',
+    MIN_LIVE_SOURCES: '1',
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'valueoracle-simulate-'))
+  });
+  const server = require('../api/server').listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  API = `http://127.0.0.1:${server.address().port}`;
+}
+
+const ready = REPLAY
+  ? startReplayApi()
+  : fetch(`${API}/health`).catch(() => {
+    console.error('Decision API not reachable. Start it with: npm run api (or run with --replay)');
     process.exit(1);
   });
+
+ready.then(() => run());
@@ -1,5 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { purchaseGuardFactory } = require("./helpers/guard");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const attestation = require("../api/attestation");
+const { saveDeployment } = require("../api/networks");
 
 describe("PurchaseGuard", function () {
   let guard, owner, oracle, agent;
@@ -15,7 +21,7 @@ describe("PurchaseGuard", function () {
 
   beforeEach(async function () {
     [owner, oracle, agent] = await ethers.getSigners();
-    const Factory = await ethers.getContractFactory("PurchaseGuard");
+    const Factory = await purchaseGuardFactory();
     guard = await Factory.deploy(oracle.address, ethers.ZeroAddress);
     await guard.waitForDeployment();
   });
@@ -235,16 +241,472 @@ describe("PurchaseGuard", function () {
       await expect(guard.connect(owner).revealPurchase(id, "laptop-001", 1100, "seller-42", salt))
         .to.be.revertedWithCustomError(guard, "Unauthorized");
     });
+
+    describe("reviews", function () {
+      let id;
+
+      beforeEach(async function () {
+        const tx = await guard.connect(agent).requestConfidentialPurchase(intentHash);
+        id = await extractRequestId(tx, "ConfidentialPurchaseRequested");
+      });
+
+      it("indexes a review under the revealed item and seller", async function () {
+        await guard.connect(oracle).fulfillConfidentialDecision(id, true, 1095);
+        await guard.connect(agent).revealPurchase(id, "laptop-001", 1100, "seller-42", salt);
+
+        await expect(guard.connect(agent).submitReview(id, 5, 4, 5, "Great laptop"))
+          .to.emit(guard, "ReviewSubmitted")
+          .withArgs(id, "laptop-001", "seller-42", 5, 4, 5, agent.address);
+        expect(await guard.getSellerReviewCount("seller-42")).to.equal(1);
+      });
+
+      it("keeps a review before the reveal unlinked, then links it on reveal", async function () {
+        await guard.connect(oracle).fulfillConfidentialDecision(id, true, 1095);
+
+        await expect(guard.connect(agent).submitReview(id, 4, 4, 4, "Solid"))
+          .to.emit(guard, "UnlinkedReviewSubmitted").withArgs(id, 4, 4, 4)
+          .and.not.to.emit(guard, "ReviewSubmitted");
+        expect(await guard.getItemReviewCount("laptop-001")).to.equal(0);
+
+        await expect(guard.connect(agent).revealPurchase(id, "laptop-001", 1100, "seller-42", salt))
+          .to.emit(guard, "ReviewSubmitted")
+          .withArgs(id, "laptop-001", "seller-42", 4, 4, 4, agent.address);
+        expect(await guard.getItemReviewCount("laptop-001")).to.equal(1);
+      });
+
+      it("reverts for rejected confidential purchases and other callers", async function () {
+        await guard.connect(oracle).fulfillConfidentialDecision(id, false, 1095);
+        await expect(guard.connect(agent).submitReview(id, 5, 5, 5, "nope"))
+          .to.be.revertedWithCustomError(guard, "NotApproved");
+        await expect(guard.connect(owner).submitReview(id, 5, 5, 5, "fake"))
+          .to.be.revertedWithCustomError(guard, "Unauthorized");
+      });
+    });
+  });
+
+  // Signed by api/attestation.js, as the API signs /evaluate decisions
+  describe("decision attestations", function () {
+    const ENV = ["ATTESTATION_PRIVATE_KEY", "DEPLOYMENTS_DIR", "NETWORK", "CHAIN_ID"];
+    const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+    const engineKey = ethers.Wallet.createRandom().privateKey;
+    let requestId;
+
+    async function attest(overrides = {}, key = engineKey) {
+      process.env.ATTESTATION_PRIVATE_KEY = key;
+      const block = await ethers.provider.getBlock("latest");
+      return attestation.signDecision({
+        requestId, itemId: "laptop-001", price: 1100, sellerId: "seller-42", verdict: "APPROVE",
+        valueScore: 95, referencePrice: 1099, timestamp: block.timestamp, engineVersion: "1.1.0",
+        ...overrides
+      });
+    }
+
+    before(function () {
+      for (const name of ENV) delete process.env[name];
+      process.env.DEPLOYMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "valueoracle-attestations-"));
+      process.env.NETWORK = "localhost";
+    });
+
+    after(function () {
+      for (const name of ENV) {
+        if (saved[name] === undefined) delete process.env[name];
+        else process.env[name] = saved[name];
+      }
+    });
+
+    beforeEach(async function () {
+      // The API's signing domain comes from the network's deployment file
+      saveDeployment("localhost", { chainId: 31337, contract: await guard.getAddress() });
+      await guard.connect(owner).setAttestationSigner(new ethers.Wallet(engineKey).address);
+      const tx = await guard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42");
+      requestId = await extractRequestId(tx, "PurchaseRequested");
+    });
+
+    it("verifies an engine-signed attestation offchain and onchain", async function () {
+      const signed = await attest();
+      expect(attestation.verifyAttestation(signed, new ethers.Wallet(engineKey).address).valid).to.be.true;
+      expect(await guard.verifyAttestation(signed.message, signed.signature)).to.be.true;
+    });
+
+    it("rejects attestations from other signers", async function () {
+      const { message, signature } = await attest({}, ethers.Wallet.createRandom().privateKey);
+      expect(await guard.verifyAttestation(message, signature)).to.be.false;
+    });
+
+    it("fulfills a matching request from an APPROVE attestation", async function () {
+      const { message, signature } = await attest();
+      await expect(guard.connect(agent).fulfillWithAttestation(requestId, message, signature))
+        .to.emit(guard, "AttestationAccepted")
+        .and.to.emit(guard, "PurchaseApproved");
+
+      const req = await guard.getRequest(requestId);
+      expect(req.approved).to.be.true;
+      expect(req.referencePrice).to.equal(1099);
+    });
+
+    it("rejects the request for a non-APPROVE verdict", async function () {
+      const { message, signature } = await attest({ verdict: "CAUTION", valueScore: 55 });
+      await expect(guard.connect(agent).fulfillWithAttestation(requestId, message, signature))
+        .to.emit(guard, "PurchaseRejected");
+    });
+
+    it("only lets the requester settle with an attestation", async function () {
+      const { message, signature } = await attest({ verdict: "REJECT", valueScore: 20 });
+      await expect(guard.connect(oracle).fulfillWithAttestation(requestId, message, signature))
+        .to.be.revertedWithCustomError(guard, "Unauthorized");
+    });
+
+    it("reverts when the attestation does not match the request", async function () {
+      const { message, signature } = await attest({ price: 900 });
+      await expect(guard.connect(agent).fulfillWithAttestation(requestId, message, signature))
+        .to.be.revertedWithCustomError(guard, "AttestationMismatch");
+    });
+
+    it("refuses an attestation signed for another request or before this one", async function () {
+      const other = await attest();
+      const tx = await guard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42");
+      const id2 = await extractRequestId(tx, "PurchaseRequested");
+      await expect(guard.connect(agent).fulfillWithAttestation(id2, other.message, other.signature))
+        .to.be.revertedWithCustomError(guard, "AttestationMismatch");
+
+      const block = await ethers.provider.getBlock("latest");
+      const early = await attest({ requestId: id2, timestamp: block.timestamp - 60 });
+      await expect(guard.connect(agent).fulfillWithAttestation(id2, early.message, early.signature))
+        .to.be.revertedWithCustomError(guard, "AttestationMismatch");
+    });
+
+    it("reverts on forged signatures", async function () {
+      const { message, signature } = await attest({}, ethers.Wallet.createRandom().privateKey);
+      await expect(guard.connect(agent).fulfillWithAttestation(requestId, message, signature))
+        .to.be.revertedWithCustomError(guard, "InvalidSignature");
+    });
+
+    it("reverts on expired attestations", async function () {
+      await ethers.provider.send("evm_increaseTime", [7200]);
+      const { message, signature } = await attest({ timestamp: (await guard.getRequest(requestId)).timestamp });
+      await expect(guard.connect(agent).fulfillWithAttestation(requestId, message, signature))
+        .to.be.revertedWithCustomError(guard, "AttestationExpired");
+    });
+
+    it("does not accept the same attestation twice", async function () {
+      const { message, signature } = await attest();
+      await guard.connect(agent).fulfillWithAttestation(requestId, message, signature);
+      await expect(guard.connect(agent).fulfillWithAttestation(requestId, message, signature))
+        .to.be.revertedWithCustomError(guard, "AttestationUsed");
+    });
+  });
+
+  describe("escrow", function () {
+    const AMOUNT = 1100n * 10n ** 6n;
+    let usdc, seller;
+
+    async function escrowedRequest(amount = AMOUNT) {
+      const tx = await guard.connect(agent).requestPurchaseWithEscrow(
+        "laptop-001", 1100, "seller-42", await usdc.getAddress(), amount, seller.address
+      );
+      return extractRequestId(tx, "PurchaseRequested");
+    }
+
+    beforeEach(async function () {
+      [, , , seller] = await ethers.getSigners();
+      const Token = await ethers.getContractFactory("MockUSDC");
+      usdc = await Token.deploy();
+      await usdc.waitForDeployment();
+      await usdc.mint(agent.address, AMOUNT * 2n);
+      await usdc.connect(agent).approve(await guard.getAddress(), AMOUNT * 2n);
+    });
+
+    it("pulls funds into escrow with the request", async function () {
+      const id = await escrowedRequest();
+      expect(await usdc.balanceOf(await guard.getAddress())).to.equal(AMOUNT);
+
+      const escrow = await guard.getEscrow(id);
+      expect(escrow.amount).to.equal(AMOUNT);
+      expect(escrow.payout).to.equal(seller.address);
+      expect(escrow.settled).to.be.false;
+    });
+
+    it("releases to the seller on approval", async function () {
+      const id = await escrowedRequest();
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, true, 1099))
+        .to.emit(guard, "EscrowReleased").withArgs(id, seller.address, AMOUNT);
+
+      expect(await usdc.balanceOf(seller.address)).to.equal(AMOUNT);
+      expect((await guard.getEscrow(id)).settled).to.be.true;
+    });
+
+    it("refunds the requester on rejection", async function () {
+      const id = await escrowedRequest();
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, false, 500))
+        .to.emit(guard, "EscrowRefunded").withArgs(id, agent.address, AMOUNT);
+
+      expect(await usdc.balanceOf(agent.address)).to.equal(AMOUNT * 2n);
+      expect(await usdc.balanceOf(seller.address)).to.equal(0);
+    });
+
+    it("is refundable after the timeout and then blocks late reports", async function () {
+      const id = await escrowedRequest();
+      await expect(guard.connect(agent).refundEscrow(id))
+        .to.be.revertedWithCustomError(guard, "EscrowNotRefundable");
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(guard.connect(oracle).refundEscrow(id))
+        .to.be.revertedWithCustomError(guard, "Unauthorized");
+      await expect(guard.connect(agent).refundEscrow(id)).to.emit(guard, "EscrowRefunded");
+
+      expect(await usdc.balanceOf(agent.address)).to.equal(AMOUNT * 2n);
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, true, 1099))
+        .to.be.revertedWithCustomError(guard, "RequestClosed");
+    });
+
+    it("rejects incomplete escrow parameters and failed transfers", async function () {
+      await expect(guard.connect(agent).requestPurchaseWithEscrow(
+        "laptop-001", 1100, "seller-42", await usdc.getAddress(), 0, seller.address
+      )).to.be.revertedWithCustomError(guard, "InvalidEscrow");
+
+      await expect(escrowedRequest(AMOUNT * 3n)).to.be.revertedWithCustomError(guard, "TransferFailed");
+    });
+
+    it("leaves plain requests without escrow", async function () {
+      const tx = await guard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42");
+      const id = await extractRequestId(tx, "PurchaseRequested");
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, true, 1099))
+        .to.not.emit(guard, "EscrowReleased");
+    });
+  });
+
+  describe("spending policies", function () {
+    const Rule = { None: 0, Allowed: 1, Blocked: 2 };
+    const DAY = 24 * 60 * 60;
+    let controller;
+
+    function policy(overrides = {}) {
+      return {
+        active: true, allowConfidential: false, sellerAllowlistOnly: false, categoryAllowlistOnly: false,
+        maxPurchase: 0, dailyLimit: 0, weeklyLimit: 0, ...overrides
+      };
+    }
+
+    async function approvedPurchase(itemId, price, sellerId = "seller-42") {
+      const tx = await guard.connect(agent).requestPurchase(itemId, price, sellerId);
+      const id = await extractRequestId(tx, "PurchaseRequested");
+      await guard.connect(oracle).fulfillOracleDecision(id, true, price);
+      return id;
+    }
+
+    // Budgets count by UTC day: start tests an hour into a fresh day
+    async function startOfNextDay() {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await ethers.provider.send("evm_setNextBlockTimestamp", [(Math.floor(timestamp / DAY) + 1) * DAY + 3600]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      [, , , controller] = await ethers.getSigners();
+      await guard.connect(owner).setController(agent.address, controller.address);
+    });
+
+    it("lets only the owner or the agent's controller set policies", async function () {
+      await expect(guard.connect(agent).setPolicy(agent.address, policy()))
+        .to.be.revertedWithCustomError(guard, "Unauthorized");
+      await expect(guard.connect(controller).setPolicy(agent.address, policy({ maxPurchase: 500 })))
+        .to.emit(guard, "PolicySet");
+      await expect(guard.connect(controller).setPolicy(oracle.address, policy()))
+        .to.be.revertedWithCustomError(guard, "Unauthorized");
+    });
+
+    it("reverts purchases above the single-purchase cap", async function () {
+      await guard.connect(controller).setPolicy(agent.address, policy({ maxPurchase: 1000 }));
+      await expect(guard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42"))
+        .to.be.revertedWithCustomError(guard, "PolicyViolation").withArgs("exceeds max purchase");
+      await approvedPurchase("phone-001", 950);
+    });
+
+    it("enforces daily and weekly budgets", async function () {
+      await startOfNextDay();
+      await guard.connect(controller).setPolicy(agent.address, policy({ dailyLimit: 1500, weeklyLimit: 2500 }));
+      await approvedPurchase("laptop-001", 1000);
+      await expect(guard.connect(agent).requestPurchase("phone-001", 600, "seller-42"))
+        .to.be.revertedWithCustomError(guard, "PolicyViolation").withArgs("exceeds daily limit");
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await approvedPurchase("phone-001", 900);
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await expect(guard.connect(agent).requestPurchase("tablet-001", 700, "seller-42"))
+        .to.be.revertedWithCustomError(guard, "PolicyViolation").withArgs("exceeds weekly limit");
+
+      // The first purchase leaves the weekly window after 7 days
+      await ethers.provider.send("evm_increaseTime", [5 * DAY]);
+      await approvedPurchase("tablet-001", 700);
+      const [daily, weekly] = await guard.spentInWindows(agent.address);
+      expect(daily).to.equal(700);
+      expect(weekly).to.equal(1600);
+    });
+
+    it("auto-rejects at fulfillment when pending purchases exhaust the budget", async function () {
+      await guard.connect(controller).setPolicy(agent.address, policy({ dailyLimit: 1500 }));
+      const tx1 = await guard.connect(agent).requestPurchase("laptop-001", 1000, "seller-42");
+      const tx2 = await guard.connect(agent).requestPurchase("phone-001", 900, "seller-42");
+      const id1 = await extractRequestId(tx1, "PurchaseRequested");
+      const id2 = await extractRequestId(tx2, "PurchaseRequested");
+
+      await guard.connect(oracle).fulfillOracleDecision(id1, true, 1000);
+      await expect(guard.connect(oracle).fulfillOracleDecision(id2, true, 900))
+        .to.emit(guard, "PurchaseRejected").withArgs(id2, 900, "Spending policy: exceeds daily limit");
+      expect((await guard.getRequest(id2)).approved).to.be.false;
+    });
+
+    it("refuses prices that would not fit a recorded spend", async function () {
+      await guard.connect(controller).setPolicy(agent.address, policy());
+      await expect(guard.connect(agent).requestPurchase("laptop-001", 2n ** 192n, "seller-42"))
+        .to.be.revertedWithCustomError(guard, "PolicyViolation").withArgs("price too large");
+    });
+
+    it("keeps one spend total per day however many purchases there are", async function () {
+      await startOfNextDay();
+      await guard.connect(controller).setPolicy(agent.address, policy({ weeklyLimit: 10000 }));
+      for (let i = 0; i < 60; i++) await approvedPurchase("cable-001", 10);
+      expect(await guard.spentInWindows(agent.address)).to.deep.equal([600n, 600n]);
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await approvedPurchase("cable-001", 10);
+      expect(await guard.spentInWindows(agent.address)).to.deep.equal([10n, 610n]);
+
+      // A day's slot is reused a week later, dropping that day's spend
+      await ethers.provider.send("evm_increaseTime", [6 * DAY]);
+      await approvedPurchase("cable-001", 10);
+      expect(await guard.spentInWindows(agent.address)).to.deep.equal([10n, 20n]);
+    });
+
+    it("applies seller and category allow/block lists", async function () {
+      await guard.connect(controller).setPolicy(agent.address, policy({ sellerAllowlistOnly: true }));
+      await guard.connect(controller).setSellerRule(agent.address, "seller-42", Rule.Allowed);
+      await guard.connect(controller).setCategoryRule(agent.address, "cable", Rule.Blocked);
+
+      await expect(guard.connect(agent).requestPurchase("laptop-001", 1000, "seller-99"))
+        .to.be.revertedWithCustomError(guard, "PolicyViolation").withArgs("seller not allowed");
+      await expect(guard.connect(agent).requestPurchase("cable-001", 25, "seller-42"))
+        .to.be.revertedWithCustomError(guard, "PolicyViolation").withArgs("category blocked");
+      await approvedPurchase("laptop-001", 1000);
+      expect(await guard.categoryOf("headphones-001")).to.equal("headphones");
+    });
+
+    it("blocks confidential purchases unless allowed", async function () {
+      const hash = ethers.keccak256("0x1234");
+      await guard.connect(controller).setPolicy(agent.address, policy());
+      await expect(guard.connect(agent).requestConfidentialPurchase(hash))
+        .to.be.revertedWithCustomError(guard, "PolicyViolation").withArgs("confidential purchases disabled");
+
+      await guard.connect(controller).setPolicy(agent.address, policy({ allowConfidential: true }));
+      await expect(guard.connect(agent).requestConfidentialPurchase(hash))
+        .to.emit(guard, "ConfidentialPurchaseRequested");
+    });
+  });
+
+  describe("request expiry", function () {
+    const HOUR = 60 * 60;
+
+    async function passDeadline() {
+      await ethers.provider.send("evm_increaseTime", [HOUR + 1]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    async function standardRequest() {
+      const tx = await guard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42");
+      return extractRequestId(tx, "PurchaseRequested");
+    }
+
+    it("sets a deadline from requestTtl", async function () {
+      const id = await standardRequest();
+      const req = await guard.getRequest(id);
+      expect(req.deadline).to.equal(req.timestamp + BigInt(HOUR));
+    });
+
+    it("refuses late reports and marks the request expired", async function () {
+      const id = await standardRequest();
+      await passDeadline();
+
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, true, 1099))
+        .to.emit(guard, "PurchaseExpired")
+        .and.not.to.emit(guard, "PurchaseApproved");
+
+      const req = await guard.getRequest(id);
+      expect(req.expired).to.be.true;
+      expect(req.approved).to.be.false;
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, true, 1099))
+        .to.be.revertedWithCustomError(guard, "RequestClosed");
+    });
+
+    it("lets the requester cancel only after the deadline", async function () {
+      const id = await standardRequest();
+      await expect(guard.connect(agent).cancelRequest(id)).to.be.revertedWithCustomError(guard, "NotExpired");
+
+      await passDeadline();
+      await expect(guard.connect(oracle).cancelRequest(id)).to.be.revertedWithCustomError(guard, "Unauthorized");
+      await expect(guard.connect(agent).cancelRequest(id))
+        .to.emit(guard, "PurchaseCancelled").withArgs(id, agent.address);
+
+      expect((await guard.getRequest(id)).cancelled).to.be.true;
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, true, 1099))
+        .to.be.revertedWithCustomError(guard, "RequestClosed");
+      await expect(guard.connect(agent).cancelRequest(id)).to.be.revertedWithCustomError(guard, "RequestClosed");
+    });
+
+    it("cannot cancel a fulfilled request", async function () {
+      const id = await standardRequest();
+      await guard.connect(oracle).fulfillOracleDecision(id, true, 1099);
+      await passDeadline();
+      await expect(guard.connect(agent).cancelRequest(id)).to.be.revertedWithCustomError(guard, "RequestClosed");
+    });
+
+    it("expires and cancels confidential requests", async function () {
+      const tx1 = await guard.connect(agent).requestConfidentialPurchase(ethers.keccak256("0x01"));
+      const tx2 = await guard.connect(agent).requestConfidentialPurchase(ethers.keccak256("0x02"));
+      const late = await extractRequestId(tx1, "ConfidentialPurchaseRequested");
+      const stuck = await extractRequestId(tx2, "ConfidentialPurchaseRequested");
+      await passDeadline();
+
+      await expect(guard.connect(oracle).fulfillConfidentialDecision(late, true, 1099))
+        .to.emit(guard, "PurchaseExpired");
+      await expect(guard.connect(agent).cancelRequest(stuck)).to.emit(guard, "PurchaseCancelled");
+      expect((await guard.getConfidentialRequest(late)).expired).to.be.true;
+      expect((await guard.getConfidentialRequest(stuck)).cancelled).to.be.true;
+    });
+
+    it("refunds escrow when a report arrives too late", async function () {
+      const [, , , seller] = await ethers.getSigners();
+      const usdc = await (await ethers.getContractFactory("MockUSDC")).deploy();
+      await usdc.mint(agent.address, 100);
+      await usdc.connect(agent).approve(await guard.getAddress(), 100);
+      const tx = await guard.connect(agent).requestPurchaseWithEscrow(
+        "laptop-001", 1100, "seller-42", await usdc.getAddress(), 100, seller.address
+      );
+      const id = await extractRequestId(tx, "PurchaseRequested");
+      await passDeadline();
+
+      await expect(guard.connect(oracle).fulfillOracleDecision(id, true, 1099))
+        .to.emit(guard, "EscrowRefunded").withArgs(id, agent.address, 100);
+      expect(await usdc.balanceOf(seller.address)).to.equal(0);
+    });
   });
 
   describe("onReport (CRE write-back)", function () {
     let fwdGuard, fwd;
+    const WORKFLOW_ID = ethers.id("purchase-guard-workflow");
+    const WORKFLOW_NAME = ethers.hexlify(ethers.toUtf8Bytes("purchasegd")); // bytes10
+
+    // Delivers through the mock forwarder as the allowed workflow (owned by `owner`), unless overridden
+    function deliver(report, { id = WORKFLOW_ID, name = WORKFLOW_NAME, workflowOwner = owner.address } = {}) {
+      return fwd.deliver(fwdGuard.getAddress(), id, name, workflowOwner, report);
+    }
 
     beforeEach(async function () {
-      fwd = agent; // reuse agent signer as mock forwarder
-      const Factory = await ethers.getContractFactory("PurchaseGuard");
-      fwdGuard = await Factory.deploy(oracle.address, fwd.address);
+      fwd = await (await ethers.getContractFactory("MockForwarder")).deploy();
+      const Factory = await purchaseGuardFactory();
+      fwdGuard = await Factory.deploy(oracle.address, await fwd.getAddress());
       await fwdGuard.waitForDeployment();
+      await fwdGuard.setWorkflowAllowed(WORKFLOW_ID, owner.address, WORKFLOW_NAME, true);
     });
 
     it("fulfills standard purchase via onReport", async function () {
@@ -256,7 +718,7 @@ describe("PurchaseGuard", function () {
         [id, true, 1095, false]
       );
 
-      await expect(fwdGuard.connect(fwd).onReport("0x", report))
+      await expect(deliver(report))
         .to.emit(fwdGuard, "ReportReceived")
         .and.to.emit(fwdGuard, "PurchaseApproved");
     });
@@ -275,7 +737,7 @@ describe("PurchaseGuard", function () {
         [id, false, 1095, true]
       );
 
-      await expect(fwdGuard.connect(fwd).onReport("0x", report))
+      await expect(deliver(report))
         .to.emit(fwdGuard, "ReportReceived")
         .and.to.emit(fwdGuard, "PurchaseRejected");
     });
@@ -290,6 +752,146 @@ describe("PurchaseGuard", function () {
         .to.be.revertedWithCustomError(fwdGuard, "InvalidForwarder");
     });
 
+    describe("v2 reports", function () {
+      // Verdict: 1 APPROVE, 2 CAUTION, 3 REJECT; ReasonCode 5 PRICE_ABOVE_MARKET, 6 LOW_SELLER_TRUST
+      const DECISION = "tuple(uint8,uint8,uint8,uint8,uint8,uint8,uint8,uint256)";
+
+      function reportV2(id, verdict, reasonCode, { version = 2, confidential = false } = {}) {
+        return ethers.AbiCoder.defaultAbiCoder().encode(
+          ["uint8", "bytes32", "bool", "uint256", DECISION],
+          [version, id, confidential, 1000, [verdict, reasonCode, 55, 40, 70, 80, 50, 1090]]
+        );
+      }
+
+      async function standardRequest() {
+        const tx = await fwdGuard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42");
+        return extractRequestId(tx, "PurchaseRequested");
+      }
+
+      it("stores the verdict, score breakdown and reason code", async function () {
+        const id = await standardRequest();
+        await expect(deliver(reportV2(id, 2, 5)))
+          .to.emit(fwdGuard, "DecisionRecorded").withArgs(id, 2, 5, 55, 1090)
+          .and.to.emit(fwdGuard, "PurchaseRejected").withArgs(id, 1000, "Price above market median");
+
+        const d = await fwdGuard.getDecision(id);
+        expect(d.verdict).to.equal(2);
+        expect([d.priceFairness, d.qualitySignal, d.sellerTrust, d.valueRatio]).to.deep.equal([40n, 70n, 80n, 50n]);
+        expect(d.effectivePrice).to.equal(1090);
+        expect((await fwdGuard.getRequest(id)).approved).to.be.false;
+      });
+
+      it("tells CAUTION and REJECT apart", async function () {
+        const caution = await standardRequest();
+        const reject = await standardRequest();
+        await deliver(reportV2(caution, 2, 6));
+        await deliver(reportV2(reject, 3, 6));
+
+        expect((await fwdGuard.getDecision(caution)).verdict).to.equal(2);
+        expect((await fwdGuard.getDecision(reject)).verdict).to.equal(3);
+      });
+
+      it("approves on an APPROVE verdict", async function () {
+        const id = await standardRequest();
+        await expect(deliver(reportV2(id, 1, 1)))
+          .to.emit(fwdGuard, "PurchaseApproved")
+          .and.to.emit(fwdGuard, "ReportReceived").withArgs(id, true, 1000);
+      });
+
+      it("records a spending policy rejection with its own reason code", async function () {
+        const id = await standardRequest();
+        await fwdGuard.connect(owner).setPolicy(agent.address, {
+          active: true, allowConfidential: false, sellerAllowlistOnly: false, categoryAllowlistOnly: false,
+          maxPurchase: 500, dailyLimit: 0, weeklyLimit: 0
+        });
+        await expect(deliver(reportV2(id, 1, 1)))
+          .to.emit(fwdGuard, "ReportReceived").withArgs(id, false, 1000);
+
+        const d = await fwdGuard.getDecision(id);
+        expect([d.verdict, d.reasonCode]).to.deep.equal([3n, 9n]);
+      });
+
+      it("reports a late APPROVE as not approved when it only expires the request", async function () {
+        const id = await standardRequest();
+        await ethers.provider.send("evm_increaseTime", [60 * 60 + 1]);
+        await expect(deliver(reportV2(id, 1, 1)))
+          .to.emit(fwdGuard, "PurchaseExpired")
+          .and.to.emit(fwdGuard, "ReportReceived").withArgs(id, false, 1000);
+      });
+
+      it("records legacy reports as APPROVE/REJECT without a reason code", async function () {
+        const id = await standardRequest();
+        const legacy = ethers.AbiCoder.defaultAbiCoder().encode(
+          ["bytes32", "bool", "uint256", "bool"], [id, false, 900, false]
+        );
+        await expect(deliver(legacy))
+          .to.emit(fwdGuard, "PurchaseRejected").withArgs(id, 900, "Price exceeds market value");
+
+        const d = await fwdGuard.getDecision(id);
+        expect([d.verdict, d.reasonCode]).to.deep.equal([3n, 0n]);
+      });
+
+      it("rejects unknown report versions", async function () {
+        const id = await standardRequest();
+        await expect(deliver(reportV2(id, 1, 1, { version: 3 })))
+          .to.be.revertedWithCustomError(fwdGuard, "UnsupportedReportVersion").withArgs(3);
+      });
+    });
+
+    describe("workflow metadata", function () {
+      let id, report;
+
+      beforeEach(async function () {
+        const tx = await fwdGuard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42");
+        id = await extractRequestId(tx, "PurchaseRequested");
+        report = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "bool", "uint256", "bool"], [id, true, 1095, false]);
+      });
+
+      it("refuses reports from another workflow behind the same forwarder", async function () {
+        const other = ethers.id("someone-elses-workflow");
+        await expect(deliver(report, { id: other }))
+          .to.be.revertedWithCustomError(fwdGuard, "InvalidWorkflow")
+          .withArgs(other, owner.address, WORKFLOW_NAME);
+      });
+
+      it("checks the workflow owner and name too", async function () {
+        await expect(deliver(report, { workflowOwner: agent.address }))
+          .to.be.revertedWithCustomError(fwdGuard, "InvalidWorkflow");
+        await expect(deliver(report, { name: ethers.hexlify(ethers.toUtf8Bytes("othername")).padEnd(22, "0") }))
+          .to.be.revertedWithCustomError(fwdGuard, "InvalidWorkflow");
+      });
+
+      it("refuses missing metadata", async function () {
+        const Factory = await purchaseGuardFactory();
+        const direct = await Factory.deploy(oracle.address, agent.address);
+        await expect(direct.connect(agent).onReport("0x", report))
+          .to.be.revertedWithCustomError(direct, "InvalidWorkflow")
+          .withArgs(ethers.ZeroHash, ethers.ZeroAddress, "0x00000000000000000000");
+      });
+
+      it("only accepts the exact id, owner and name combinations allowed", async function () {
+        const otherId = ethers.id("other-workflow");
+        await fwdGuard.setWorkflowAllowed(otherId, agent.address, WORKFLOW_NAME, true);
+        expect(await fwdGuard.allowedWorkflows(await fwdGuard.workflowKey(otherId, agent.address, WORKFLOW_NAME))).to.be.true;
+
+        await expect(deliver(report, { id: otherId }))
+          .to.be.revertedWithCustomError(fwdGuard, "InvalidWorkflow");
+        await expect(deliver(report, { workflowOwner: agent.address }))
+          .to.be.revertedWithCustomError(fwdGuard, "InvalidWorkflow");
+      });
+
+      it("stops accepting a workflow once it is removed", async function () {
+        await fwdGuard.setWorkflowAllowed(ethers.id("other-workflow"), owner.address, WORKFLOW_NAME, true);
+        await fwdGuard.setWorkflowAllowed(WORKFLOW_ID, owner.address, WORKFLOW_NAME, false);
+        await expect(deliver(report)).to.be.revertedWithCustomError(fwdGuard, "InvalidWorkflow");
+      });
+
+      it("lets only the owner manage the allowlist", async function () {
+        await expect(fwdGuard.connect(agent).setWorkflowAllowed(ethers.id("mine"), agent.address, WORKFLOW_NAME, true))
+          .to.be.revertedWithCustomError(fwdGuard, "Unauthorized");
+      });
+    });
+
     it("supports IReceiver interface via ERC165", async function () {
       // IReceiver interfaceId = bytes4(keccak256("onReport(bytes,bytes)"))
       // IERC165 interfaceId = 0x01ffc9a7
@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { purchaseGuardFactory } = require("./helpers/guard");
+
+describe("SellerRegistry", function () {
+  let guard, registry, owner, oracle, agent, seller, arbiter;
+
+  async function reviewedPurchase(rating = 1) {
+    const receipt = await (await guard.connect(agent).requestPurchase("laptop-001", 1100, "seller-42")).wait();
+    const requestId = guard.interface.parseLog(receipt.logs[0]).args.requestId;
+    await guard.connect(oracle).fulfillOracleDecision(requestId, true, 1099);
+    await guard.connect(agent).submitReview(requestId, rating, rating, rating, "meh");
+    return requestId;
+  }
+
+  beforeEach(async function () {
+    [owner, oracle, agent, seller, arbiter] = await ethers.getSigners();
+    guard = await (await purchaseGuardFactory()).deploy(oracle.address, ethers.ZeroAddress);
+    registry = await (await ethers.getContractFactory("SellerRegistry")).deploy(await guard.getAddress());
+    await registry.connect(owner).registerSeller("seller-42", seller.address);
+  });
+
+  describe("registration", function () {
+    it("binds a sellerId to its controller", async function () {
+      const s = await registry.sellers("seller-42");
+      expect(s.controller).to.equal(seller.address);
+      expect(s.registeredAt).to.be.above(0);
+    });
+
+    it("lets only the owner register and only the controller transfer", async function () {
+      await expect(registry.connect(seller).registerSeller("seller-99", seller.address))
+        .to.be.revertedWithCustomError(registry, "Unauthorized");
+      await expect(registry.connect(agent).transferSeller("seller-42", agent.address))
+        .to.be.revertedWithCustomError(registry, "Unauthorized");
+
+      await expect(registry.connect(seller).transferSeller("seller-42", agent.address))
+        .to.emit(registry, "SellerRegistered").withArgs("seller-42", agent.address);
+    });
+  });
+
+  describe("responses", function () {
+    it("allows one response per review from the seller", async function () {
+      const requestId = await reviewedPurchase();
+      await expect(registry.connect(seller).respondToReview("seller-42", 0, "Replaced the unit"))
+        .to.emit(registry, "ReviewResponded").withArgs(requestId, "seller-42", "Replaced the unit");
+      expect(await registry.responses(requestId)).to.equal("Replaced the unit");
+
+      await expect(registry.connect(seller).respondToReview("seller-42", 0, "Again"))
+        .to.be.revertedWithCustomError(registry, "AlreadyResponded");
+    });
+
+    it("reverts for other callers and unknown reviews", async function () {
+      await reviewedPurchase();
+      await expect(registry.connect(agent).respondToReview("seller-42", 0, "hi"))
+        .to.be.revertedWithCustomError(registry, "Unauthorized");
+      await expect(registry.connect(seller).respondToReview("seller-42", 1, "hi"))
+        .to.be.revertedWithCustomError(registry, "ReviewNotFound");
+    });
+  });
+
+  describe("disputes", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      requestId = await reviewedPurchase();
+      await registry.connect(owner).setArbiter(arbiter.address, true);
+    });
+
+    it("opens a dispute and lets an arbiter uphold it", async function () {
+      await expect(registry.connect(seller).openDispute("seller-42", 0, "Never bought from us"))
+        .to.emit(registry, "DisputeOpened").withArgs(requestId, "seller-42", "Never bought from us");
+      await expect(registry.connect(seller).openDispute("seller-42", 0, "again"))
+        .to.be.revertedWithCustomError(registry, "DisputeExists");
+
+      await expect(registry.connect(arbiter).resolveDispute("seller-42", 0, true))
+        .to.emit(registry, "DisputeResolved").withArgs(requestId, "seller-42", true, arbiter.address);
+      expect(await registry.disputes(requestId)).to.equal(2); // Upheld
+    });
+
+    it("lets the owner flag a review directly, and rulings are final", async function () {
+      await registry.connect(owner).resolveDispute("seller-42", 0, false);
+      expect(await registry.disputes(requestId)).to.equal(3); // Dismissed
+
+      await expect(registry.connect(arbiter).resolveDispute("seller-42", 0, true))
+        .to.be.revertedWithCustomError(registry, "AlreadyResolved");
+    });
+
+    it("only the owner and arbiters can rule", async function () {
+      await expect(registry.connect(seller).resolveDispute("seller-42", 0, true))
+        .to.be.revertedWithCustomError(registry, "Unauthorized");
+    });
+  });
+});
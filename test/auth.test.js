@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { startApi } = require("./helpers/server");
+
+// API keys, scopes, limits and key management against the running app; sources replay fixtures
+describe("API auth", function () {
+  const ADMIN_KEY = "test-admin-key";
+  const purchase = { itemId: "laptop-001", price: 1100, sellerId: "seller-42" };
+  let api, apiUrl;
+
+  async function call(method, route, key, body, headers = {}) {
+    const res = await fetch(`${apiUrl}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...(key ? { Authorization: `Bearer ${key}` } : {}), ...headers },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  async function issue(options) {
+    const res = await call("POST", "/admin/keys", ADMIN_KEY, options);
+    expect(res.status).to.equal(201);
+    return res.body;
+  }
+
+  before(async function () {
+    api = await startApi("auth", { env: { API_AUTH: undefined, ADMIN_API_KEY: ADMIN_KEY } });
+    apiUrl = api.url;
+  });
+
+  after(function () {
+    api.close();
+  });
+
+  it("requires a key with the route's scope", async function () {
+    const { key } = await issue({ name: "agent", scopes: ["evaluate"] });
+
+    const missing = await call("POST", "/evaluate", null, purchase);
+    expect(missing.status).to.equal(401);
+    expect(missing.headers.get("www-authenticate")).to.match(/^Bearer/);
+    expect((await call("POST", "/evaluate", "vo_unknown", purchase)).status).to.equal(401);
+
+    expect((await call("POST", "/evaluate", key, purchase)).status).to.equal(200);
+    expect((await call("POST", "/evaluate-confidential", key, { ...purchase, intentHash: "0x" + "11".repeat(32) })).status).to.equal(403);
+    expect((await call("GET", "/decisions", key)).status).to.equal(403);
+  });
+
+  it("issues, lists and revokes keys without exposing them", async function () {
+    const issued = await issue({ name: "revoke-me", scopes: ["evaluate"] });
+    expect(issued.key).to.match(/^vo_/);
+    expect(issued).to.not.have.property("keyHash");
+
+    const listed = (await call("GET", "/admin/keys", ADMIN_KEY)).body.keys.find(k => k.id === issued.id);
+    expect(listed).to.include({ name: "revoke-me", revokedAt: null });
+    expect(listed).to.not.have.any.keys("key", "keyHash");
+
+    expect((await call("POST", "/admin/keys", ADMIN_KEY, { name: "bad", scopes: ["root"] })).status).to.equal(400);
+    expect((await call("DELETE", `/admin/keys/${issued.id}`, ADMIN_KEY)).body.revokedAt).to.be.a("string");
+    expect((await call("DELETE", "/admin/keys/unknown", ADMIN_KEY)).status).to.equal(404);
+    expect((await call("POST", "/evaluate", issued.key, purchase)).status).to.equal(401);
+  });
+
+  it("limits requests per minute", async function () {
+    const { key } = await issue({ name: "limited", rateLimit: 2 });
+    expect((await call("GET", "/prices/laptop-001/history", key)).status).to.equal(200);
+    const second = await call("GET", "/prices/laptop-001/history", key);
+    expect(second.headers.get("x-ratelimit-remaining")).to.equal("0");
+
+    const third = await call("GET", "/prices/laptop-001/history", key);
+    expect(third.status).to.equal(429);
+    expect(Number(third.headers.get("retry-after"))).to.be.within(1, 60);
+  });
+
+  it("charges the daily quota only for well-formed evaluations", async function () {
+    const { key } = await issue({ name: "quota", dailyQuota: 1 });
+    expect((await call("POST", "/evaluate", key, { itemId: "laptop-001" })).status).to.equal(400);
+    expect((await call("POST", "/evaluate", key, { ...purchase, price: "free" })).status).to.equal(400);
+
+    const first = await call("POST", "/evaluate", key, purchase);
+    expect(first.status).to.equal(200);
+    expect(first.headers.get("x-quota-remaining")).to.equal("0");
+
+    const second = await call("POST", "/evaluate", key, purchase);
+    expect(second.status).to.equal(429);
+    expect(second.body.error).to.match(/Daily quota/);
+  });
+
+  it("allows no browser origin unless CORS_ORIGINS lists it", async function () {
+    const res = await call("GET", "/health", null, undefined, { Origin: "https://evil.example" });
+    expect(res.status).to.equal(200);
+    expect(res.headers.get("access-control-allow-origin")).to.be.null;
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { startApi } = require("./helpers/server");
+const decisions = require("../api/decisions");
+const engine = require("../api/engine");
+
+describe("decision audit log", function () {
+  let api, apiUrl;
+
+  const snapshot = {
+    sources: ["a", "b", "c"].map(name => ({ name, price: 1000, weight: 1, provenance: "live" })),
+    seller: { score: 0.9 },
+    productData: { rating: 4.5, reviewCount: 5000, returnRate: 4 },
+    dealData: { cashback: 0, coupon: 0, shippingFee: 0 },
+    historyStats: null
+  };
+
+  async function save(itemId, price) {
+    const request = { itemId, price, sellerId: "seller-42" };
+    const decision = decisions.saveDecision({
+      request, snapshot, config: engine.engineConfig(), result: engine.scoreDecision(request, snapshot)
+    });
+    await new Promise(resolve => setTimeout(resolve, 2)); // distinct createdAt
+    return decision;
+  }
+
+  before(async function () {
+    api = await startApi("decisions");
+    apiUrl = api.url;
+  });
+
+  after(function () {
+    api.close();
+  });
+
+  it("lists decisions newest first with filters and paging", async function () {
+    const fair = await save("phone-001", 900);
+    const overpriced = await save("phone-001", 2500);
+    const other = await save("laptop-001", 900);
+
+    expect(decisions.getDecision(fair.id).result.verdict).to.equal("APPROVE");
+    expect(decisions.listDecisions().decisions.map(d => d.id)).to.deep.equal([other.id, overpriced.id, fair.id]);
+    expect(decisions.listDecisions({ itemId: "phone-001", verdict: "APPROVE" }).decisions.map(d => d.id)).to.deep.equal([fair.id]);
+
+    const page = decisions.listDecisions({ itemId: "phone-001", limit: 1, offset: 1 });
+    expect(page.total).to.equal(2);
+    expect(page.decisions.map(d => d.id)).to.deep.equal([fair.id]);
+  });
+
+  it("replays a stored snapshot under the current engine", async function () {
+    const decision = await save("tablet-001", 900);
+    const res = await fetch(`${apiUrl}/decisions/${decision.id}/replay`, { method: "POST" });
+    const body = await res.json();
+    expect(res.status).to.equal(200);
+    expect(body.original.verdict).to.equal(body.replayed.verdict);
+    expect(body.changed).to.be.false;
+
+    expect((await fetch(`${apiUrl}/decisions/unknown/replay`, { method: "POST" })).status).to.equal(404);
+  });
+
+  it("keeps confidential decisions down to the intent hash, requester, outcome and ciphertext", async function () {
+    const intentHash = "0x" + "ab".repeat(32);
+    const requester = "0x" + "cd".repeat(20);
+    const encrypted = { alg: "AES-256-GCM", intentHash, ciphertext: "Y2lwaGVydGV4dA==" };
+    const decision = decisions.saveConfidentialDecision({
+      intentHash: intentHash.toUpperCase().replace("0X", "0x"), requester, config: engine.engineConfig(), approved: true, encrypted
+    });
+
+    expect(decision.request).to.deep.equal({ intentHash, requester });
+    expect(decision.result).to.deep.equal({ approved: true });
+    expect(decision).to.not.have.property("snapshot");
+    expect(decisions.findEncrypted(intentHash).id).to.equal(decision.id);
+
+    const res = await fetch(`${apiUrl}/decisions/${decision.id}/replay`, { method: "POST" });
+    expect(res.status).to.equal(409);
+  });
+});
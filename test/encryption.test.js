@@ -0,0 +1,36 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const { parseKey, encryptPayload, decryptPayload } = require("../api/encryption");
+
+describe("encryption", function () {
+  const key = parseKey("0x" + "11".repeat(32));
+  const intentHash = "0x" + "ab".repeat(32);
+  const payload = { approved: true, verdict: "APPROVE", valueScore: 92, referencePrice: 1099 };
+
+  it("round-trips a payload bound to its intent hash", function () {
+    const envelope = encryptPayload(payload, key, intentHash);
+    expect(envelope.alg).to.equal("AES-256-GCM");
+    expect(envelope.ciphertext).to.not.include("APPROVE");
+    expect(decryptPayload(envelope, key)).to.deep.equal(payload);
+  });
+
+  it("decrypts a bare base64 ciphertext given the intent hash", function () {
+    const { ciphertext } = encryptPayload(payload, key, intentHash);
+    expect(decryptPayload(ciphertext, key, intentHash)).to.deep.equal(payload);
+  });
+
+  it("rejects the wrong key, intent hash or a tampered ciphertext", function () {
+    const envelope = encryptPayload(payload, key, intentHash);
+    expect(() => decryptPayload(envelope, crypto.randomBytes(32))).to.throw(/Decryption failed/);
+    expect(() => decryptPayload(envelope.ciphertext, key, "0x" + "cd".repeat(32))).to.throw(/Decryption failed/);
+
+    const raw = Buffer.from(envelope.ciphertext, "base64");
+    raw[20] ^= 1;
+    expect(() => decryptPayload({ ...envelope, ciphertext: raw.toString("base64") }, key)).to.throw(/Decryption failed/);
+  });
+
+  it("requires a 32-byte hex key", function () {
+    expect(() => parseKey("abcd")).to.throw(/32 bytes/);
+    expect(() => parseKey(undefined)).to.throw(/32 bytes/);
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { calculateValueScore, scoreDecision } = require("../api/engine");
+const registry = require("../api/sources/registry");
+
+describe("engine", function () {
+  const listing = {
+    proposedPrice: 1000, referencePrice: 1000, rating: 4.5, reviewCount: 5000, returnRate: 4, sellerScoreVal: 0.9
+  };
+
+  describe("item review blending", function () {
+    it("uses the listing alone without agent reviews", function () {
+      expect(calculateValueScore(listing).breakdown.qualitySignal).to.equal(76);
+    });
+
+    it("pulls quality towards the agents' experience by weighted review count", function () {
+      const poor = { overall: 1.5, effectiveCount: 1 };
+      const many = { overall: 1.5, effectiveCount: 8 };
+      expect(calculateValueScore({ ...listing, itemReviewStats: poor }).breakdown.qualitySignal).to.equal(71);
+      expect(calculateValueScore({ ...listing, itemReviewStats: many }).breakdown.qualitySignal).to.equal(62);
+    });
+
+    it("can raise quality as well", function () {
+      const great = { overall: 5, effectiveCount: 3 };
+      expect(calculateValueScore({ ...listing, itemReviewStats: great }).breakdown.qualitySignal).to.equal(83);
+    });
+  });
+
+  describe("source provenance", function () {
+    const saved = { DATA_DIR: process.env.DATA_DIR };
+    let dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "valueoracle-sources-"));
+      process.env.DATA_DIR = path.join(dir, "data");
+      const adapters = {
+        "live.js": "module.exports = { getPrice: () => 1000 };",
+        "cached.js": "module.exports = { getPrice: async () => ({ price: 990, provenance: 'cached', asOf: '2026-01-01T00:00:00.000Z' }) };",
+        "broken.js": "module.exports = { getPrice: async () => { throw new Error('down'); } };"
+      };
+      for (const [file, source] of Object.entries(adapters)) fs.writeFileSync(path.join(dir, file), source);
+      fs.writeFileSync(path.join(dir, "sources.json"), JSON.stringify({
+        sources: ["live", "cached", "broken"].map(name => ({ name, module: `./${name}` }))
+      }));
+      registry.loadSources(path.join(dir, "sources.json"));
+    });
+
+    after(function () {
+      registry.loadSources();
+      if (saved.DATA_DIR === undefined) delete process.env.DATA_DIR;
+      else process.env.DATA_DIR = saved.DATA_DIR;
+    });
+
+    it("tags each quote with provenance, latency and timestamps and drops failed sources", async function () {
+      const quotes = await registry.fetchPrices("phone-001");
+      expect(quotes.map(q => [q.name, q.provenance])).to.deep.equal([["live", "live"], ["cached", "cached"]]);
+      for (const q of quotes) {
+        expect(q.latencyMs).to.be.a("number");
+        expect(Date.parse(q.fetchedAt)).to.not.be.NaN;
+      }
+      expect(quotes[0].asOf).to.equal(quotes[0].fetchedAt);
+      expect(quotes[1].asOf).to.equal("2026-01-01T00:00:00.000Z");
+    });
+  });
+
+  describe("freshness", function () {
+    const snapshot = (provenances) => ({
+      sources: provenances.map((provenance, i) => ({ name: `source-${i}`, price: 1000, weight: 1, provenance })),
+      seller: { score: 0.9 },
+      productData: { rating: 4.5, reviewCount: 5000, returnRate: 4 },
+      dealData: { cashback: 0, coupon: 0, shippingFee: 0 },
+      historyStats: null
+    });
+
+    it("approves a fair price backed by enough live sources", function () {
+      const result = scoreDecision({ price: 900 }, snapshot(["live", "live", "fallback"]));
+      expect(result.freshness).to.include({ live: 2, fallback: 1, total: 3, stale: false, confidence: 0.7 });
+      expect(result.verdict).to.equal("APPROVE");
+    });
+
+    it("never approves against fewer live sources than MIN_LIVE_SOURCES", function () {
+      const result = scoreDecision({ price: 900 }, snapshot(["live", "cached", "fallback"]));
+      expect(result.freshness).to.include({ live: 1, stale: true });
+      expect(result.verdict).to.equal("CAUTION");
+      expect(result.reasonCode).to.equal("STALE_PRICES");
+    });
+
+    it("counts a lone live source as stale", function () {
+      const result = scoreDecision({ price: 900 }, snapshot(["live"]));
+      expect(result.freshness).to.include({ live: 1, total: 1, stale: true });
+      expect(result.approved).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const { fetchJson, fetchSourced, fixturePath } = require("../api/sources/fixtures");
+const marketplaceB = require("../api/sources/marketplaceB");
+const marketplaceC = require("../api/sources/marketplaceC");
+const { saveEnv, tempDir } = require("./helpers/server");
+
+describe("source fixtures", function () {
+  const realFetch = global.fetch;
+  let restoreEnv;
+
+  beforeEach(function () {
+    restoreEnv = saveEnv(["SOURCES_MODE", "SOURCES_FIXTURES_DIR"]);
+  });
+
+  afterEach(function () {
+    global.fetch = realFetch;
+    restoreEnv();
+  });
+
+  it("replays DummyJSON and FakeStoreAPI prices as cached at the recording, without the network", async function () {
+    process.env.SOURCES_MODE = "replay";
+    global.fetch = () => { throw new Error("network used in replay"); };
+
+    const recordedAt = "2026-10-19T15:39:21.000Z";
+    expect(await marketplaceB.getPrice("laptop-001")).to.deep.equal({ price: 1099, provenance: "cached", asOf: recordedAt });
+    expect(await marketplaceC.getPrice("headphones-001")).to.deep.equal({ price: 570, provenance: "cached", asOf: recordedAt });
+  });
+
+  it("fails a replay without a fixture, so adapters fall back", async function () {
+    process.env.SOURCES_MODE = "replay";
+    process.env.SOURCES_FIXTURES_DIR = tempDir("fixtures");
+
+    await expectReject(fetchJson("https://dummyjson.com/products/1"), /No fixture/);
+    expect(await marketplaceB.getPrice("tablet-001")).to.include({ price: 419, provenance: "fallback" });
+  });
+
+  it("records live responses as fixtures that replay returns", async function () {
+    process.env.SOURCES_MODE = "record";
+    process.env.SOURCES_FIXTURES_DIR = tempDir("fixtures");
+    global.fetch = async () => ({ ok: true, json: async () => ({ id: 7, price: 42.5 }) });
+
+    const url = "https://fakestoreapi.com/products/7";
+    expect(await fetchJson(url)).to.deep.equal({ id: 7, price: 42.5 });
+    expect(JSON.parse(fs.readFileSync(fixturePath(url), "utf8"))).to.include({ url });
+
+    process.env.SOURCES_MODE = "replay";
+    global.fetch = realFetch;
+    const { recordedAt } = JSON.parse(fs.readFileSync(fixturePath(url), "utf8"));
+    expect(await fetchSourced(url)).to.deep.equal({ body: { id: 7, price: 42.5 }, provenance: "cached", asOf: recordedAt });
+  });
+
+  it("rejects an unknown SOURCES_MODE", async function () {
+    process.env.SOURCES_MODE = "offline";
+    await expectReject(fetchJson("https://dummyjson.com/products/1"), /SOURCES_MODE must be one of/);
+  });
+
+  async function expectReject(promise, pattern) {
+    try {
+      await promise;
+    } catch (err) {
+      return expect(err.message).to.match(pattern);
+    }
+    expect.fail("expected a rejection");
+  }
+});
@@ -0,0 +1,9 @@
+const { ethers } = require("hardhat");
+
+// PurchaseGuard factory linked to a freshly deployed SpendingPolicies library
+async function purchaseGuardFactory() {
+  const library = await (await ethers.getContractFactory("SpendingPolicies")).deploy();
+  return ethers.getContractFactory("PurchaseGuard", { libraries: { SpendingPolicies: await library.getAddress() } });
+}
+
+module.exports = { purchaseGuardFactory };
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+
+// Saves the named env vars; the returned function puts them back
+function saveEnv(names) {
+  const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  return () => {
+    for (const name of names) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  };
+}
+
+function tempDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `valueoracle-${name}-`));
+}
+
+// Starts the API on a free port with a throwaway DATA_DIR, auth off, replayed sources
+// and no LLM call. `env` overrides those defaults (undefined unsets a variable) and
+// `restore` names further variables the tests change. close() stops the server and
+// restores every variable it touched.
+async function startApi(name, { env = {}, restore = [] } = {}) {
+  const vars = { API_AUTH: "off", DATA_DIR: tempDir(name), SOURCES_MODE: "replay", GROQ_API_KEY: "", ...env };
+  const restoreEnv = saveEnv([...new Set([...Object.keys(vars), ...restore])]);
+  for (const [key, value] of Object.entries(vars)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+
+  const server = require("../../api/server").listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.close();
+      restoreEnv();
+    }
+  };
+}
+
+module.exports = { saveEnv, tempDir, startApi };
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { purchaseGuardFactory } = require("./helpers/guard");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("indexer", function () {
+  let indexer, guard, oracle, agent;
+
+  async function request(itemId, price, sellerId) {
+    const receipt = await (await guard.connect(agent).requestPurchase(itemId, price, sellerId)).wait();
+    return guard.interface.parseLog(receipt.logs[0]).args.requestId;
+  }
+
+  async function purchaseAndReview(itemId, sellerId, rating, comment = "ok") {
+    const requestId = await request(itemId, 1100, sellerId);
+    await guard.connect(oracle).fulfillOracleDecision(requestId, true, 1099);
+    await guard.connect(agent).submitReview(requestId, rating, rating, rating, comment);
+    return requestId;
+  }
+
+  const savedDataDir = process.env.DATA_DIR;
+
+  before(function () {
+    process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "valueoracle-indexer-"));
+    indexer = require("../api/indexer");
+  });
+
+  after(function () {
+    if (savedDataDir === undefined) delete process.env.DATA_DIR;
+    else process.env.DATA_DIR = savedDataDir;
+  });
+
+  beforeEach(async function () {
+    [, oracle, agent] = await ethers.getSigners();
+    const Factory = await purchaseGuardFactory();
+    guard = await Factory.deploy(oracle.address, ethers.ZeroAddress);
+    await guard.waitForDeployment();
+
+    const fromBlock = (await guard.deploymentTransaction().wait()).blockNumber;
+    indexer.configure({ provider: ethers.provider, address: await guard.getAddress(), fromBlock, batchSize: 3 });
+  });
+
+  it("indexes requests, outcomes and every review across batches", async function () {
+    for (let i = 0; i < 12; i++) await purchaseAndReview(`item-${i % 2}`, "seller-7", 1 + (i % 5));
+    const { indexed } = await indexer.sync();
+
+    expect(indexed).to.equal(48);
+    expect(indexer.getSellerReviews("seller-7")).to.have.length(12);
+    expect(indexer.getItemReviews("item-1")).to.have.length(6);
+    expect(indexer.isReady()).to.be.true;
+  });
+
+  it("counts each reviewer's reviews and distinct sellers", async function () {
+    for (const sellerId of ["seller-1", "seller-2", "seller-2"]) await purchaseAndReview("item-0", sellerId, 4);
+    await indexer.sync();
+
+    expect(indexer.getReviewerStats(agent.address.toLowerCase())).to.deep.equal({ reviews: 3, sellers: 2 });
+    expect(indexer.getReviewerStats(oracle.address)).to.deep.equal({ reviews: 0, sellers: 0 });
+  });
+
+  it("resumes from the last indexed block", async function () {
+    const first = await purchaseAndReview("laptop-001", "seller-42", 5);
+    await indexer.sync();
+    const second = await purchaseAndReview("laptop-001", "seller-42", 4);
+    const { indexed } = await indexer.sync();
+
+    expect(indexed).to.equal(4);
+    expect(indexer.getRequest(first).status).to.equal("approved");
+    expect(indexer.getRequest(first).verdict).to.equal("APPROVE");
+    expect(indexer.getRequest(second).referencePrice).to.equal(1099);
+    expect(indexer.getSellerReviews("seller-42").map(r => r.quality)).to.deep.equal([5, 4]);
+  });
+
+  it("keeps each review's comment, which the event does not carry", async function () {
+    await purchaseAndReview("laptop-001", "seller-42", 5, "fast shipping, as described");
+    await indexer.sync();
+
+    expect(indexer.getSellerReviews("seller-42")[0].comment).to.equal("fast shipping, as described");
+    const reviews = await require("../api/sources/sellerScore").getSellerReviews("seller-42");
+    expect(reviews[0].comment).to.equal("fast shipping, as described");
+  });
+
+  it("tracks expired and cancelled requests", async function () {
+    const late = await request("phone-001", 900, "seller-42");
+    const stuck = await request("phone-001", 900, "seller-42");
+    await network.provider.send("evm_increaseTime", [60 * 60 + 1]);
+    await guard.connect(oracle).fulfillOracleDecision(late, true, 899);
+    await guard.connect(agent).cancelRequest(stuck);
+    await indexer.sync();
+
+    expect(indexer.getRequest(late).status).to.equal("expired");
+    expect(indexer.getRequest(stuck).status).to.equal("cancelled");
+  });
+
+  it("indexes confidential reviews under the revealed item once revealed", async function () {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const intentHash = ethers.solidityPackedKeccak256(
+      ["string", "uint256", "string", "bytes32"], ["tablet-001", 450, "seller-100", salt]
+    );
+    const receipt = await (await guard.connect(agent).requestConfidentialPurchase(intentHash)).wait();
+    const id = guard.interface.parseLog(receipt.logs[0]).args.requestId;
+    await guard.connect(oracle).fulfillConfidentialDecision(id, true, 440);
+    await guard.connect(agent).submitReview(id, 2, 2, 2, "early");
+    await indexer.sync();
+
+    expect(indexer.getRequest(id).review).to.equal("unlinked");
+    expect(indexer.getSellerReviews("seller-100")).to.be.empty;
+
+    await guard.connect(agent).revealPurchase(id, "tablet-001", 450, "seller-100", salt);
+    await indexer.sync();
+
+    const reviews = await require("../api/sources/sellerScore").getSellerReviews("seller-100");
+    expect(reviews).to.have.length(1);
+    expect(reviews[0]).to.include({ item: "tablet-001", price: 450, confidential: true, comment: "early" });
+    expect(reviews[0].weighting.price).to.be.below(1);
+  });
+
+  it("follows seller registrations, responses and disputes from the registry", async function () {
+    const [owner, , , seller] = await ethers.getSigners();
+    const registry = await (await ethers.getContractFactory("SellerRegistry")).deploy(await guard.getAddress());
+    const fromBlock = (await registry.deploymentTransaction().wait()).blockNumber;
+    indexer.configure({ provider: ethers.provider, address: await guard.getAddress(), registry: await registry.getAddress(), fromBlock });
+
+    await registry.connect(owner).registerSeller("seller-42", seller.address);
+    const fair = await purchaseAndReview("laptop-001", "seller-42", 4);
+    const fake = await purchaseAndReview("laptop-001", "seller-42", 1);
+    await registry.connect(seller).respondToReview("seller-42", 0, "Thanks!");
+    await registry.connect(seller).openDispute("seller-42", 1, "Review farm");
+    await registry.connect(owner).resolveDispute("seller-42", 1, true);
+    await indexer.sync();
+
+    expect(indexer.getSeller("seller-42").controller).to.equal(seller.address);
+    const reviews = indexer.getSellerReviews("seller-42");
+    expect(reviews.find(r => r.requestId === fair)).to.include({ response: "Thanks!", dispute: null });
+    expect(reviews.find(r => r.requestId === fake).dispute).to.equal("upheld");
+    expect(indexer.getReviewerStats(agent.address)).to.deep.equal({ reviews: 1, sellers: 1 });
+
+    const stats = require("../api/sources/sellerScore").computeReviewStats(reviews);
+    expect(stats).to.include({ count: 1, flagged: 1, overall: 4 });
+  });
+
+  it("rolls back events from blocks that were reorged away", async function () {
+    await purchaseAndReview("laptop-001", "seller-42", 5);
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await purchaseAndReview("phone-001", "seller-42", 1);
+    await indexer.sync();
+    expect(indexer.getSellerReviews("seller-42")).to.have.length(2);
+
+    // Replace the last three blocks with a different, longer fork
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("hardhat_mine", ["0x5"]);
+    const { reorg } = await indexer.sync();
+
+    expect(reorg.removed).to.equal(4);
+    expect(indexer.getSellerReviews("seller-42").map(r => r.item)).to.deep.equal(["laptop-001"]);
+    expect(indexer.getItemReviews("phone-001")).to.be.empty;
+  });
+});
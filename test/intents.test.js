@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { startApi } = require("./helpers/server");
+const intents = require("../api/intents");
+const auth = require("../api/auth");
+const { parseKey, decryptPayload } = require("../api/encryption");
+
+// Intent registration and the CRE-only lookup, with API keys enforced
+describe("confidential intents", function () {
+  const CRE_KEY = "test-cre-key";
+  let api, apiUrl, agent, other, agentKey;
+
+  function intent(overrides = {}) {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const resultKey = ethers.hexlify(ethers.randomBytes(32));
+    const body = { itemId: "headphones-001", price: 280, sellerId: "seller-100", salt, requester: agent.address, resultKey, ...overrides };
+    return { ...body, intentHash: intents.computeIntentHash(body.itemId, body.price, body.sellerId, body.salt) };
+  }
+
+  async function signed(body, signer = agent) {
+    return { ...body, signature: await signer.signMessage(intents.intentMessage(body.intentHash)) };
+  }
+
+  async function resultHeaders(intentHash, signer = agent, signedAt = Math.floor(Date.now() / 1000)) {
+    const signature = await signer.signMessage(intents.resultMessage(intentHash, signedAt));
+    return { "X-Signed-At": String(signedAt), "X-Requester-Signature": signature };
+  }
+
+  async function call(method, route, key, body, headers = {}) {
+    const res = await fetch(`${apiUrl}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${key}`, ...headers },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  before(async function () {
+    [, , agent, other] = await ethers.getSigners();
+    api = await startApi("intents", { env: { API_AUTH: undefined, INTENT_TTL_MS: undefined, CRE_API_KEY: CRE_KEY } });
+    apiUrl = api.url;
+    agentKey = auth.issueKey({ name: "agent", scopes: ["evaluate"] }).key;
+  });
+
+  after(function () {
+    api.close();
+  });
+
+  it("registers a signed intent and serves it to the CRE key only", async function () {
+    const body = await signed(intent());
+    const stored = await call("POST", "/intent", agentKey, body);
+    expect(stored.status).to.equal(200);
+    expect(stored.body.intentHash).to.equal(body.intentHash.toLowerCase());
+
+    const denied = await call("GET", `/intent/${body.intentHash}`, agentKey);
+    expect(denied.status).to.equal(403);
+    expect(denied.body).to.not.have.property("itemId");
+
+    const lookup = await call("GET", `/intent/${body.intentHash}`, CRE_KEY);
+    expect(lookup.status).to.equal(200);
+    expect(lookup.body).to.include({ itemId: "headphones-001", price: 280, sellerId: "seller-100", requester: agent.address });
+    expect(lookup.body).to.not.have.property("salt");
+    expect(lookup.body).to.not.have.property("resultKey");
+
+    expect((await call("POST", "/intent", agentKey, body)).status).to.equal(409);
+  });
+
+  it("recomputes the commitment instead of trusting the intent hash", async function () {
+    const body = await signed({ ...intent(), price: 1 });
+    const res = await call("POST", "/intent", agentKey, body);
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.match(/does not match/);
+
+    const { resultKey, ...keyless } = intent();
+    expect((await call("POST", "/intent", agentKey, await signed(keyless))).status).to.equal(400);
+  });
+
+  it("requires the requester's signature", async function () {
+    const forged = await call("POST", "/intent", agentKey, await signed(intent(), other));
+    expect(forged.status).to.equal(401);
+    expect(forged.body.error).to.match(/not signed by requester/);
+
+    const garbage = await call("POST", "/intent", agentKey, { ...intent(), signature: "0x1234" });
+    expect(garbage.status).to.equal(401);
+  });
+
+  it("drops intents after INTENT_TTL_MS", async function () {
+    process.env.INTENT_TTL_MS = "1";
+    const body = await signed(intent());
+    expect((await call("POST", "/intent", agentKey, body)).status).to.equal(200);
+    delete process.env.INTENT_TTL_MS;
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect((await call("GET", `/intent/${body.intentHash}`, CRE_KEY)).status).to.equal(404);
+    expect(intents.purgeExpired()).to.equal(0); // already dropped on read
+  });
+
+  it("encrypts the result under the requester's key and serves it to their signature only", async function () {
+    const body = await signed(intent());
+    expect((await call("POST", "/intent", agentKey, body)).status).to.equal(200);
+    const { intentHash, itemId, price, sellerId } = body;
+
+    const evaluated = await call("POST", "/evaluate-confidential", CRE_KEY, { intentHash, itemId, price, sellerId, encrypt: true });
+    expect(evaluated.status).to.equal(200);
+
+    const route = `/evaluate-confidential/${intentHash}`;
+    expect((await call("GET", route, agentKey)).status).to.equal(401);
+    expect((await call("GET", route, agentKey, undefined, await resultHeaders(intentHash, other))).status).to.equal(403);
+    const stale = Math.floor(Date.now() / 1000) - 600;
+    expect((await call("GET", route, agentKey, undefined, await resultHeaders(intentHash, agent, stale))).status).to.equal(401);
+
+    const own = await call("GET", route, agentKey, undefined, await resultHeaders(intentHash));
+    expect(own.status).to.equal(200);
+    expect(own.body).to.have.all.keys("decisionId", "createdAt", "encrypted");
+    const result = decryptPayload(own.body.encrypted, parseKey(body.resultKey));
+    expect(result).to.include({ intentHash, approved: evaluated.body.approved, referencePrice: evaluated.body.referencePrice });
+
+    const otherKey = ethers.hexlify(ethers.randomBytes(32));
+    expect(() => decryptPayload(own.body.encrypted, parseKey(otherKey))).to.throw(/Decryption failed/);
+  });
+
+  it("validates the confidential purchase like /evaluate", async function () {
+    const { intentHash, itemId, sellerId } = intent();
+    for (const price of ["900", -1, null]) {
+      const res = await call("POST", "/evaluate-confidential", CRE_KEY, { intentHash, itemId, price, sellerId });
+      expect(res.status).to.equal(400);
+    }
+    const res = await call("POST", "/evaluate-confidential", CRE_KEY, { itemId, price: 900, sellerId });
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.match(/intentHash/);
+  });
+
+  it("refuses encrypted mode for an intent without a registered key", async function () {
+    const { intentHash, itemId, price, sellerId } = intent();
+    const res = await call("POST", "/evaluate-confidential", CRE_KEY, { intentHash, itemId, price, sellerId, encrypt: true });
+    expect(res.status).to.equal(409);
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { purchaseGuardFactory } = require("./helpers/guard");
+const { startApi } = require("./helpers/server");
+const { createLocalWorkflow, encodeReport } = require("../scripts/localCre");
+const { REASON_CODES } = require("../api/reportCodes");
+const { resultMessage } = require("../api/intents");
+const { parseKey, decryptPayload } = require("../api/encryption");
+
+// buy → decision → review through the local CRE runner, the real API and the mock
+// forwarder, without network access: sources replay their recorded fixtures
+describe("local CRE runner (offline loop)", function () {
+  // Replayed fixture prices are cached quotes, so marketplaceA is the only live source
+  const thresholds = require("../api/engine").engineConfig().thresholds;
+  const minLiveSources = thresholds.minLiveSources;
+  let api, apiUrl, guard, workflow, owner, agent;
+
+  async function requestId(tx, name) {
+    const receipt = await tx.wait();
+    return receipt.logs.map(l => guard.interface.parseLog(l)).find(e => e?.name === name).args.requestId;
+  }
+
+  before(async function () {
+    thresholds.minLiveSources = 1;
+    api = await startApi("localcre");
+    apiUrl = api.url;
+  });
+
+  after(function () {
+    api.close();
+    thresholds.minLiveSources = minLiveSources;
+  });
+
+  beforeEach(async function () {
+    [owner, , agent] = await ethers.getSigners();
+    const forwarder = await (await ethers.getContractFactory("MockForwarder")).deploy();
+    guard = await (await purchaseGuardFactory()).deploy(owner.address, await forwarder.getAddress());
+    const fromBlock = (await guard.deploymentTransaction().wait()).blockNumber;
+
+    workflow = createLocalWorkflow({
+      provider: ethers.provider,
+      guard: await guard.getAddress(),
+      forwarder: forwarder.connect(owner),
+      apiUrl,
+      encrypt: true,
+      fromBlock,
+      log: () => {}
+    });
+    expect(await workflow.allowOnGuard()).to.be.true;
+  });
+
+  it("approves a fair purchase through onReport and takes the buyer's review", async function () {
+    const id = await requestId(await guard.connect(agent).requestPurchase("phone-001", 900, "seller-42"), "PurchaseRequested");
+    expect(await workflow.poll()).to.equal(1);
+
+    const req = await guard.getRequest(id);
+    expect([req.fulfilled, req.approved]).to.deep.equal([true, true]);
+    const decision = await guard.getDecision(id);
+    expect(decision.verdict).to.equal(1n); // APPROVE
+    expect(decision.valueScore).to.be.above(0n);
+
+    await expect(guard.connect(agent).submitReview(id, 5, 4, 5, "as described"))
+      .to.emit(guard, "ReviewSubmitted");
+    expect(await workflow.poll()).to.equal(0);
+  });
+
+  it("rejects an overpriced purchase with the engine's reason code", async function () {
+    const id = await requestId(await guard.connect(agent).requestPurchase("phone-001", 2500, "seller-42"), "PurchaseRequested");
+    await workflow.poll();
+
+    const req = await guard.getRequest(id);
+    expect([req.fulfilled, req.approved]).to.deep.equal([true, false]);
+    const decision = await guard.getDecision(id);
+    expect(decision.verdict).to.not.equal(1n);
+    expect(REASON_CODES[Number(decision.reasonCode)]).to.not.equal("NONE");
+  });
+
+  it("encodes a negative effective price and missing scores as 0", function () {
+    const requestId = "0x" + "12".repeat(32);
+    const decision = {
+      verdict: "APPROVE", reasonCode: "FAIR_PRICE", valueScore: 91.6, effectivePrice: -25,
+      breakdown: { priceFairness: 100, qualitySignal: 80, sellerTrust: undefined, valueRatio: -3 }
+    };
+    const [, , , referencePrice, encoded] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ["uint8", "bytes32", "bool", "uint256", "(uint8,uint8,uint8,uint8,uint8,uint8,uint8,uint256)"],
+      encodeReport(requestId, NaN, decision, false)
+    );
+    expect(referencePrice).to.equal(0n);
+    expect(encoded.toArray()).to.deep.equal([1n, 1n, 92n, 100n, 80n, 0n, 0n, 0n]);
+  });
+
+  it("resolves a confidential intent from the API and writes a verdict-only report", async function () {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const resultKey = ethers.hexlify(ethers.randomBytes(32));
+    const intentHash = ethers.solidityPackedKeccak256(
+      ["string", "uint256", "string", "bytes32"], ["headphones-001", 280, "seller-100", salt]
+    );
+    const signature = await agent.signMessage(`ValueOracle intent:\n${intentHash.toLowerCase()}`);
+    const res = await fetch(`${apiUrl}/intent`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ intentHash, itemId: "headphones-001", price: 280, sellerId: "seller-100", salt, requester: agent.address, signature, resultKey })
+    });
+    expect(res.status).to.equal(200);
+
+    const id = await requestId(await guard.connect(agent).requestConfidentialPurchase(intentHash), "ConfidentialPurchaseRequested");
+    await workflow.poll();
+
+    const req = await guard.getConfidentialRequest(id);
+    expect([req.fulfilled, req.approved]).to.deep.equal([true, true]);
+    expect((await guard.getDecision(id)).valueScore).to.equal(0n);
+    const signedAt = String(Math.floor(Date.now() / 1000));
+    const stored = await (await fetch(`${apiUrl}/evaluate-confidential/${intentHash}`, {
+      headers: { "X-Signed-At": signedAt, "X-Requester-Signature": await agent.signMessage(resultMessage(intentHash, signedAt)) }
+    })).json();
+    expect(decryptPayload(stored.encrypted, parseKey(resultKey))).to.include({ approved: true });
+
+    await guard.connect(agent).revealPurchase(id, "headphones-001", 280, "seller-100", salt);
+    await expect(guard.connect(agent).submitReview(id, 4, 4, 4, "private buy"))
+      .to.emit(guard, "ReviewSubmitted");
+  });
+});
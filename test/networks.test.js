@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveNetwork, saveDeployment, selectedNetwork } = require("../api/networks");
+
+describe("networks", function () {
+  const VARS = ["DEPLOYMENTS_DIR", "CONTRACT_ADDRESS", "REGISTRY_ADDRESS", "INDEXER_START_BLOCK", "LOCALHOST_RPC_URL", "NETWORK"];
+  const saved = Object.fromEntries(VARS.map(name => [name, process.env[name]]));
+
+  beforeEach(function () {
+    for (const name of VARS) delete process.env[name];
+    process.env.DEPLOYMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "valueoracle-deployments-"));
+  });
+
+  after(function () {
+    for (const name of VARS) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  it("takes addresses from the deployment file deploy.js writes", function () {
+    saveDeployment("localhost", { chainId: 31337, contract: "0x" + "11".repeat(20), registry: "0x" + "22".repeat(20), blockNumber: 7 });
+    process.env.LOCALHOST_RPC_URL = "http://127.0.0.1:9545";
+
+    expect(resolveNetwork("localhost")).to.include({
+      chainId: 31337, rpcUrl: "http://127.0.0.1:9545", contract: "0x" + "11".repeat(20), startBlock: 7
+    });
+  });
+
+  it("only reads CONTRACT_ADDRESS on sepolia", function () {
+    process.env.CONTRACT_ADDRESS = "0x" + "33".repeat(20);
+
+    expect(resolveNetwork("sepolia").contract).to.equal("0x" + "33".repeat(20));
+    expect(resolveNetwork("localhost").contract).to.be.null;
+  });
+
+  it("lets CONTRACT_ADDRESS override a sepolia deployment file", function () {
+    saveDeployment("sepolia", { chainId: 11155111, contract: "0x" + "55".repeat(20), registry: "0x" + "66".repeat(20), blockNumber: 9 });
+    expect(resolveNetwork("sepolia")).to.include({ contract: "0x" + "55".repeat(20), registry: "0x" + "66".repeat(20), startBlock: 9 });
+
+    // The file's registry belongs to the file's guard, so it is dropped with it
+    process.env.CONTRACT_ADDRESS = "0x" + "33".repeat(20);
+    expect(resolveNetwork("sepolia")).to.include({ contract: "0x" + "33".repeat(20), registry: null, startBlock: 0 });
+
+    process.env.REGISTRY_ADDRESS = "0x" + "77".repeat(20);
+    expect(resolveNetwork("sepolia").registry).to.equal("0x" + "77".repeat(20));
+
+    process.env.INDEXER_START_BLOCK = "42";
+    expect(resolveNetwork("sepolia").startBlock).to.equal(42);
+  });
+
+  it("accepts custom networks defined by a deployment file alone", function () {
+    saveDeployment("anvil", { chainId: 31338, rpcUrl: "http://127.0.0.1:8546", contract: "0x" + "44".repeat(20) });
+
+    expect(resolveNetwork("anvil")).to.include({ chainId: 31338, rpcUrl: "http://127.0.0.1:8546" });
+    expect(() => resolveNetwork("mainnet")).to.throw(/Unknown network "mainnet"/);
+  });
+
+  it("reads --network from argv before NETWORK", function () {
+    process.env.NETWORK = "localhost";
+    expect(selectedNetwork(["node", "cli.js", "status", "--network", "anvil"])).to.equal("anvil");
+    expect(selectedNetwork(["node", "cli.js", "--network=anvil"])).to.equal("anvil");
+    expect(selectedNetwork(["node", "cli.js"])).to.equal("localhost");
+  });
+});
@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("priceHistory", function () {
+  const DAY = 24 * 60 * 60 * 1000;
+  let priceHistory;
+  const savedDataDir = process.env.DATA_DIR;
+
+  before(function () {
+    process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "valueoracle-history-"));
+    priceHistory = require("../api/priceHistory");
+
+    const now = Date.now();
+    for (let day = 1; day <= 10; day++) {
+      const fetchedAt = new Date(now - day * DAY).toISOString();
+      priceHistory.record("laptop-001", [
+        { name: "marketplaceA", price: 1000 + day, provenance: "live", fetchedAt },
+        { name: "marketplaceB", price: 1095, provenance: "fallback", fetchedAt }
+      ]);
+    }
+  });
+
+  after(function () {
+    if (savedDataDir === undefined) delete process.env.DATA_DIR;
+    else process.env.DATA_DIR = savedDataDir;
+  });
+
+  it("returns samples in time order, filtered by source", function () {
+    const samples = priceHistory.getHistory("laptop-001", { source: "marketplaceA" });
+    expect(samples).to.have.length(10);
+    expect(samples[0].price).to.equal(1010);
+    expect(samples[9].price).to.equal(1001);
+  });
+
+  it("computes a trailing median from live samples only", function () {
+    const stats = priceHistory.trailingStats("laptop-001", { days: 30 });
+    expect(stats.samples).to.equal(10);
+    expect(stats.median).to.equal(1005.5);
+  });
+
+  it("needs enough samples inside the window", function () {
+    expect(priceHistory.trailingStats("laptop-001", { days: 3 })).to.be.null;
+    expect(priceHistory.trailingStats("unknown-item")).to.be.null;
+  });
+
+  it("tracks every item it has seen", function () {
+    expect(priceHistory.trackedItems()).to.deep.equal(["laptop-001"]);
+  });
+
+  it("keeps late, repeated and pruned quotes in time order", function () {
+    const now = Date.now();
+    const at = (days) => new Date(now - days * DAY).toISOString();
+    priceHistory.record("phone-001", [{ name: "marketplaceA", price: 900, fetchedAt: at(1) }]);
+    priceHistory.record("phone-001", [{ name: "marketplaceA", price: 950, fetchedAt: at(100) }]);
+    priceHistory.record("phone-001", [{ name: "marketplaceA", price: 910, fetchedAt: at(1) }]);
+    expect(priceHistory.getHistory("phone-001").map(s => s.price)).to.deep.equal([950, 910]);
+
+    expect(priceHistory.prune()).to.equal(1);
+    expect(priceHistory.getHistory("phone-001").map(s => s.price)).to.deep.equal([910]);
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { median, weightedMedian, computeReferencePrice } = require("../api/referencePrice");
+
+describe("referencePrice", function () {
+  describe("median", function () {
+    it("averages the two middle values for even-length input", function () {
+      expect(median([1000, 1100])).to.equal(1050);
+      expect(median([4, 1, 3, 2])).to.equal(2.5);
+    });
+
+    it("picks the middle value for odd-length input", function () {
+      expect(median([1147, 1049, 1095])).to.equal(1095);
+    });
+  });
+
+  describe("weightedMedian", function () {
+    it("matches the plain median for equal weights", function () {
+      const entries = [1000, 1100, 1200, 1300].map(price => ({ price, weight: 1 }));
+      expect(weightedMedian(entries)).to.equal(1150);
+    });
+
+    it("leans towards more reliable sources", function () {
+      const entries = [
+        { price: 1000, weight: 3 },
+        { price: 1100, weight: 1 },
+        { price: 1200, weight: 1 }
+      ];
+      expect(weightedMedian(entries)).to.equal(1000);
+    });
+  });
+
+  describe("computeReferencePrice", function () {
+    const honest = [
+      { name: "a", price: 1049 },
+      { name: "b", price: 1095 },
+      { name: "c", price: 1147 }
+    ];
+
+    it("keeps agreeing sources", function () {
+      const result = computeReferencePrice(honest);
+      expect(result.referencePrice).to.equal(1095);
+      expect(result.outlierCount).to.equal(0);
+    });
+
+    it("rejects a poisoned feed and recomputes without it", function () {
+      const result = computeReferencePrice([...honest, { name: "evil", price: 9999 }]);
+      expect(result.outlierCount).to.equal(1);
+      expect(result.sources.find(s => s.name === "evil").outlier).to.be.true;
+      expect(result.initialMedian).to.equal(1121);
+      expect(result.referencePrice).to.equal(1095);
+    });
+
+    it("supports IQR fences", function () {
+      const result = computeReferencePrice(
+        [...honest, { name: "d", price: 1080 }, { name: "low", price: 200 }],
+        { method: "iqr" }
+      );
+      expect(result.method).to.equal("iqr");
+      expect(result.sources.find(s => s.name === "low").outlier).to.be.true;
+      expect(result.referencePrice).to.equal(1088);
+    });
+
+    it("does not flag anything with fewer than three sources", function () {
+      const result = computeReferencePrice([{ name: "a", price: 100 }, { name: "b", price: 900 }]);
+      expect(result.outlierCount).to.equal(0);
+      expect(result.referencePrice).to.equal(500);
+    });
+  });
+});
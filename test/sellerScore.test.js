@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { weighReviews, computeReviewStats } = require("../api/sources/sellerScore");
+
+describe("sellerScore review weighting", function () {
+  const now = Date.UTC(2026, 0, 1);
+  const nowSec = now / 1000;
+  const DAY = 24 * 60 * 60;
+
+  function review(reviewer, rating, price, ageDays = 0, sellerId = "seller-42") {
+    return { reviewer, sellerId, quality: rating, delivery: rating, value: rating, price, timestamp: nowSec - ageDays * DAY };
+  }
+
+  const established = () => ({ reviews: 6, sellers: 6 });
+
+  it("weights expensive purchases above cheap ones", function () {
+    const [laptop, cable] = weighReviews(
+      [review("0xa", 5, 1000), review("0xb", 5, 9)],
+      { reviewerStats: established, now }
+    );
+    expect(laptop.weighting.price).to.equal(1);
+    expect(cable.weighting.price).to.be.closeTo(0.333, 0.001);
+  });
+
+  it("halves a review's weight every half-life", function () {
+    const [fresh, old] = weighReviews([review("0xa", 5, 1000), review("0xb", 5, 1000, 180)], { now });
+    expect(fresh.weighting.recency).to.equal(1);
+    expect(old.weighting.recency).to.equal(0.5);
+  });
+
+  it("keeps one wallet from swinging a seller with repeat cheap reviews", function () {
+    const farm = Array.from({ length: 10 }, () => review("0xbad", 1, 9));
+    const honest = [review("0xa", 5, 1000), review("0xb", 5, 800)];
+    const stats = (reviewer) => reviewer === "0xbad" ? { reviews: 10, sellers: 1 } : established();
+
+    const plain = computeReviewStats([...farm, ...honest]);
+    const weighted = computeReviewStats(weighReviews([...farm, ...honest], { reviewerStats: stats, now }));
+
+    expect(plain.overall).to.be.below(2);
+    expect(weighted.overall).to.be.above(4.5);
+    expect(weighted.count).to.equal(12);
+    expect(weighted.uniqueReviewers).to.equal(3);
+    expect(weighted.effectiveCount).to.be.below(2.2);
+  });
+
+  it("keeps ten fresh wallets from outweighing two established $1000 reviews", function () {
+    const sybils = Array.from({ length: 10 }, (_, i) => ({ ...review(`0xfresh${i}`, 5, null), onchain: true }));
+    const honest = [review("0xa", 1, 1000), review("0xb", 1, 1000)];
+    const stats = (reviewer) => reviewer.startsWith("0xfresh") ? { reviews: 1, sellers: 1 } : established();
+
+    const weighted = weighReviews([...sybils, ...honest], { reviewerStats: stats, now });
+    expect(weighted[0].weighting).to.include({ price: 0.3, reviewer: 0.2 });
+
+    const summary = computeReviewStats(weighted);
+    const sybilWeight = weighted.slice(0, 10).reduce((s, r) => s + r.weight, 0);
+    expect(sybilWeight).to.be.below(1);
+    expect(summary.overall).to.be.below(3);
+  });
+
+  it("leaves out reviews ruled fraudulent in a dispute", function () {
+    const reviews = [review("0xa", 5, 1000), { ...review("0xbad", 1, 1000), dispute: "upheld" }, { ...review("0xb", 3, 1000), dispute: "dismissed" }];
+    const stats = computeReviewStats(reviews);
+    expect(stats).to.include({ count: 2, flagged: 1, overall: 4 });
+  });
+
+  it("leaves reviews without onchain data at full weight", function () {
+    const [r] = weighReviews([{ quality: 4, delivery: 4, value: 4, item: "laptop-001" }], { now });
+    expect(r.weight).to.equal(1);
+    expect(computeReviewStats([r]).effectiveCount).to.equal(1);
+  });
+});
@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { startApi } = require("./helpers/server");
+
+// Pinned /evaluate calls as each CRE DON node makes them; sources replay their fixtures
+describe("deterministic snapshot mode", function () {
+  const requestId = "0x" + "5a".repeat(32);
+  let api, apiUrl;
+
+  async function evaluate(body) {
+    const res = await fetch(`${apiUrl}/evaluate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  before(async function () {
+    api = await startApi("snapshots", { restore: ["SNAPSHOT_TTL_MS"] });
+    apiUrl = api.url;
+  });
+
+  after(function () {
+    api.close();
+  });
+
+  it("gathers a snapshot once and answers every node identically", async function () {
+    const request = { itemId: "laptop-001", price: 1100, sellerId: "seller-42", snapshotId: requestId };
+    const [first, second] = await Promise.all([evaluate(request), evaluate(request)]);
+    const third = await evaluate(request);
+
+    expect(first.status).to.equal(200);
+    expect(first.body).to.include({ deterministic: true, snapshotId: requestId });
+    expect(first.body).to.not.have.any.keys("aiAnalysis", "sources", "freshness");
+    expect(second.body).to.deep.equal(first.body);
+    expect(third.body).to.deep.equal(first.body);
+  });
+
+  it("keeps a requestId pinned first with other parameters from affecting the real request", async function () {
+    const id = "0x" + "6b".repeat(32);
+    const squatted = await evaluate({ itemId: "laptop-001", price: 1, sellerId: "seller-42", snapshotId: id });
+    expect(squatted.status).to.equal(200);
+
+    const real = await evaluate({ itemId: "laptop-001", price: 5000, sellerId: "seller-42", snapshotId: id });
+    expect(real.status).to.equal(200);
+    expect(real.body.decisionId).to.not.equal(squatted.body.decisionId);
+    expect(real.body.verdict).to.not.equal("APPROVE");
+
+    const again = await evaluate({ itemId: "laptop-001", price: 5000, sellerId: "seller-42", snapshotId: id });
+    expect(again.body).to.deep.equal(real.body);
+  });
+
+  it("expires snapshots after SNAPSHOT_TTL_MS", async function () {
+    const snapshots = require("../api/snapshots");
+    const request = { itemId: "phone-001", price: 900, sellerId: "seller-42" };
+    const id = "0x" + "7c".repeat(32);
+    const first = await evaluate({ ...request, snapshotId: id });
+    expect(snapshots.getSnapshot(id, request)).to.not.be.null;
+    expect(snapshots.purgeExpired()).to.equal(0);
+
+    process.env.SNAPSHOT_TTL_MS = "0";
+    try {
+      expect(snapshots.purgeExpired()).to.be.at.least(1);
+      expect(snapshots.getSnapshot(id, request)).to.be.null;
+    } finally {
+      delete process.env.SNAPSHOT_TTL_MS;
+    }
+    const again = await evaluate({ ...request, snapshotId: id });
+    expect(again.body.decisionId).to.not.equal(first.body.decisionId);
+  });
+
+  it("validates snapshotId and asOf", async function () {
+    const request = { itemId: "laptop-001", price: 1100, sellerId: "seller-42" };
+    expect((await evaluate({ ...request, snapshotId: "" })).status).to.equal(400);
+    expect((await evaluate({ ...request, asOf: Math.floor(Date.now() / 1000) + 3600 })).status).to.equal(400);
+    expect((await evaluate({ ...request, asOf: "2020-01-01T00:00:00Z" })).status).to.equal(404);
+  });
+});
@@ -0,0 +1,38 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openVault } = require("../agent/vault");
+
+describe("vault", function () {
+  let file;
+  const intent = { intentHash: "0x" + "ab".repeat(32), itemId: "laptop-001", price: "1100", sellerId: "seller-42", salt: "0x" + "cd".repeat(32) };
+
+  beforeEach(function () {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "valueoracle-vault-")), "vault.json");
+  });
+
+  it("stores intents encrypted and reopens them with the password", function () {
+    const vault = openVault("hunter2", file);
+    vault.add(intent);
+    vault.entries[0].requestId = "0x" + "EF".repeat(32);
+    vault.save();
+
+    const raw = fs.readFileSync(file, "utf8");
+    expect(raw).to.not.include("laptop-001");
+    expect(raw).to.not.include("cd".repeat(32));
+    expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+
+    const reopened = openVault("hunter2", file);
+    expect(reopened.find("0x" + "ef".repeat(32))).to.include({ ...intent, revealedAt: null });
+    expect(reopened.pending()).to.have.length(1);
+  });
+
+  it("rejects the wrong password", function () {
+    const vault = openVault("hunter2", file);
+    vault.add(intent);
+    vault.save();
+
+    expect(() => openVault("hunter3", file)).to.throw(/Wrong vault password/);
+  });
+});
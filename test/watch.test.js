@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { purchaseGuardFactory } = require("./helpers/guard");
+const { EXIT, exitCodeFor, watchRequest } = require("../agent/watch");
+const { encodeReport } = require("../scripts/localCre");
+
+describe("agent watch", function () {
+  const WORKFLOW_ID = ethers.id("watch-test");
+  const WORKFLOW_NAME = ethers.hexlify(ethers.toUtf8Bytes("watchtest0"));
+  let guard, forwarder, owner, agent, lines;
+
+  const approve = {
+    verdict: "APPROVE", reasonCode: "FAIR_PRICE", valueScore: 80, effectivePrice: 950,
+    breakdown: { priceFairness: 80, qualitySignal: 80, sellerTrust: 80, valueRatio: 80 }
+  };
+
+  async function request() {
+    const receipt = await (await guard.connect(agent).requestPurchase("phone-001", 900, "seller-42")).wait();
+    return guard.interface.parseLog(receipt.logs[0]).args.requestId;
+  }
+
+  function deliver(requestId, decision = approve) {
+    return forwarder.deliver(guard.getAddress(), WORKFLOW_ID, WORKFLOW_NAME, owner.address, encodeReport(requestId, 900, decision, false));
+  }
+
+  function watch(requestId, timeoutSec = 10) {
+    return watchRequest(guard, requestId, timeoutSec, (line) => lines.push(line));
+  }
+
+  beforeEach(async function () {
+    [owner, , agent] = await ethers.getSigners();
+    forwarder = await (await ethers.getContractFactory("MockForwarder")).deploy();
+    guard = await (await purchaseGuardFactory()).deploy(owner.address, await forwarder.getAddress());
+    await guard.setWorkflowAllowed(WORKFLOW_ID, owner.address, WORKFLOW_NAME, true);
+    lines = [];
+  });
+
+  it("maps request states to exit codes", function () {
+    expect(exitCodeFor({ fulfilled: true, approved: true })).to.equal(EXIT.approved);
+    expect(exitCodeFor({ fulfilled: true, approved: false })).to.equal(EXIT.rejected);
+    expect(exitCodeFor({ fulfilled: false, expired: true })).to.equal(EXIT.closed);
+    expect(exitCodeFor({ fulfilled: false, cancelled: true })).to.equal(EXIT.closed);
+    expect(exitCodeFor({ fulfilled: false, expired: false, cancelled: false })).to.be.null;
+  });
+
+  it("returns at once for requests that are already settled", async function () {
+    const approved = await request();
+    await deliver(approved);
+    expect(await watch(approved)).to.equal(EXIT.approved);
+
+    const rejected = await request();
+    await deliver(rejected, { ...approve, verdict: "REJECT", reasonCode: "PRICE_ABOVE_MARKET" });
+    expect(await watch(rejected)).to.equal(EXIT.rejected);
+    expect(lines).to.include("already rejected");
+  });
+
+  it("waits for a CRE report", async function () {
+    const id = await request();
+    const watching = watch(id);
+    await deliver(id);
+
+    expect(await watching).to.equal(EXIT.approved);
+    expect(lines.some(l => l.includes("approved in tx") && l.includes("(CRE report)"))).to.be.true;
+  });
+
+  it("exits closed when a late report only expires the request", async function () {
+    const id = await request();
+    await network.provider.send("evm_increaseTime", [60 * 60 + 1]);
+    const watching = watch(id);
+    await deliver(id);
+
+    expect(await watching).to.equal(EXIT.closed);
+    expect(lines.some(l => l.startsWith("  expired in tx"))).to.be.true;
+  });
+
+  it("times out while the request is pending", async function () {
+    const id = await request();
+    expect(await watch(id, 0.2)).to.equal(EXIT.timeout);
+  });
+});
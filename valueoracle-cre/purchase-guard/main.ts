@@ -26,6 +26,13 @@ const configSchema = z.object({
 
 type Config = z.infer<typeof configSchema>;
 
+type Breakdown = {
+  priceFairness: number;
+  qualitySignal: number;
+  sellerTrust: number;
+  valueRatio: number;
+};
+
 type EvaluationResult = {
   approved: boolean;
   verdict: string;
@@ -33,6 +40,57 @@ type EvaluationResult = {
   referencePrice: number;
   effectivePrice: number;
   reason: string;
+  reasonCode: string;
+  breakdown: Breakdown;
+};
+
+// Index order matches PurchaseGuard.Verdict / PurchaseGuard.ReasonCode (and api/reportCodes.js)
+const VERDICTS = ["NONE", "APPROVE", "CAUTION", "REJECT"];
+const REASON_CODES = [
+  "NONE", "FAIR_PRICE", "SELLER_BLOCKED", "STALE_PRICES", "PRICE_ANOMALY",
+  "PRICE_ABOVE_MARKET", "LOW_SELLER_TRUST", "LOW_QUALITY", "LOW_VALUE_SCORE", "SPENDING_POLICY",
+];
+
+const REPORT_VERSION = 2;
+
+// Unknown names map to 0 (NONE); the contract then falls back to its legacy reason
+const indexOf = (names: string[], name: string) => Math.max(names.indexOf(name), 0);
+
+// Report fields are unsigned: a coupon or cashback above the price makes the effective
+// price negative, and a missing value is NaN, either of which the ABI encoder refuses
+const uint = (value: number) => Math.max(0, Math.round(Number(value) || 0));
+
+type OnchainDecision = {
+  verdict: string;
+  reasonCode: string;
+  valueScore: number;
+  breakdown: Breakdown;
+  effectivePrice: number;
+};
+
+// Confidential reports carry only the verdict — scores and the effective price would leak the hidden price
+const confidentialDecision = (approved: boolean): OnchainDecision => ({
+  verdict: approved ? "APPROVE" : "REJECT",
+  reasonCode: "NONE",
+  valueScore: 0,
+  breakdown: { priceFairness: 0, qualitySignal: 0, sellerTrust: 0, valueRatio: 0 },
+  effectivePrice: 0,
+});
+
+// Encrypted mode: only what goes onchain is readable, the rest is AES-GCM
+// ciphertext under the result key the requester registered with the intent
+type EncryptedEvaluation = {
+  decisionId: string;
+  approved: boolean;
+  referencePrice: number;
+  encrypted: { alg: string; intentHash: string; ciphertext: string };
+};
+
+type IntentData = {
+  itemId: string;
+  price: number;
+  sellerId: string;
+  requester: string;
 };
 
 // Decode PurchaseRequested event
@@ -54,10 +112,13 @@ export const decodePurchaseEvent = (log: EVMLog) => {
   };
 };
 
+// snapshotId pins the engine to one market snapshot, so every DON node gets an
+// identical deterministic response for consensusIdenticalAggregation
 export const evaluatePurchase = (
   sendRequester: HTTPSendRequester,
   config: Config,
-  purchase: { itemId: string; price: number; sellerId: string }
+  purchase: { itemId: string; price: number; sellerId: string; snapshotId?: string },
+  apiKey: string
 ): EvaluationResult => {
   const bodyBytes = new TextEncoder().encode(JSON.stringify(purchase));
   const body = Buffer.from(bodyBytes).toString("base64");
@@ -66,7 +127,7 @@ export const evaluatePurchase = (
     url: `${config.apiUrl}/evaluate`,
     method: "POST" as const,
     body,
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
   };
 
   const resp = sendRequester.sendRequest(req).result();
@@ -84,21 +145,43 @@ export const evaluatePurchase = (
     referencePrice: data.referencePrice,
     effectivePrice: data.effectivePrice,
     reason: data.reason,
+    reasonCode: data.reasonCode,
+    breakdown: data.breakdown,
   };
 };
 
-// Write decision onchain via KeystoneForwarder → onReport()
+// Write decision onchain via KeystoneForwarder → onReport(), as a v2 report:
+// (version, requestId, isConfidential, referencePrice, Decision)
 function writeDecisionOnchain(
   runtime: Runtime<Config>,
   evmClient: EVMClient,
   requestId: string,
-  approved: boolean,
   referencePrice: number,
+  decision: OnchainDecision,
   isConfidential: boolean
 ): void {
+  const { breakdown } = decision;
   const reportData = encodeAbiParameters(
-    parseAbiParameters("bytes32 requestId, bool approved, uint256 referencePrice, bool isConfidential"),
-    [requestId as `0x${string}`, approved, BigInt(referencePrice), isConfidential]
+    parseAbiParameters(
+      "uint8 version, bytes32 requestId, bool isConfidential, uint256 referencePrice, " +
+        "(uint8 verdict, uint8 reasonCode, uint8 valueScore, uint8 priceFairness, uint8 qualitySignal, uint8 sellerTrust, uint8 valueRatio, uint256 effectivePrice) decision"
+    ),
+    [
+      REPORT_VERSION,
+      requestId as `0x${string}`,
+      isConfidential,
+      BigInt(uint(referencePrice)),
+      {
+        verdict: indexOf(VERDICTS, decision.verdict),
+        reasonCode: indexOf(REASON_CODES, decision.reasonCode),
+        valueScore: uint(decision.valueScore),
+        priceFairness: uint(breakdown.priceFairness),
+        qualitySignal: uint(breakdown.qualitySignal),
+        sellerTrust: uint(breakdown.sellerTrust),
+        valueRatio: uint(breakdown.valueRatio),
+        effectivePrice: BigInt(uint(decision.effectivePrice)),
+      },
+    ]
   );
 
   const reportResponse = runtime
@@ -134,7 +217,8 @@ export const onPurchaseRequested = (runtime: Runtime<Config>, log: EVMLog): stri
     `Purchase request detected: requestId=${purchase.requestId} item=${purchase.itemId} price=$${purchase.proposedPrice} seller=${purchase.sellerId}`
   );
 
-  // Evaluate via Decision Engine API
+  // Evaluate via Decision Engine API (authenticated with the marketplaceApiKey secret)
+  const apiKey = runtime.getSecret({ id: "marketplaceApiKey" }).result().value;
   const httpClient = new HTTPClient();
 
   const result = httpClient
@@ -145,7 +229,8 @@ export const onPurchaseRequested = (runtime: Runtime<Config>, log: EVMLog): stri
           itemId: purchase.itemId,
           price: purchase.proposedPrice,
           sellerId: purchase.sellerId,
-        }),
+          snapshotId: purchase.requestId,
+        }, apiKey),
       consensusIdenticalAggregation<EvaluationResult>()
     )()
     .result();
@@ -156,7 +241,7 @@ export const onPurchaseRequested = (runtime: Runtime<Config>, log: EVMLog): stri
     `score=${result.valueScore}`,
     `ref=$${result.referencePrice}`,
     `eff=$${result.effectivePrice}`,
-    `reason="${result.reason}"`,
+    `reason=${result.reasonCode} "${result.reason}"`,
   ].join(" | ");
 
   runtime.log(`Purchase evaluation complete: ${summary}`);
@@ -169,7 +254,7 @@ export const onPurchaseRequested = (runtime: Runtime<Config>, log: EVMLog): stri
   });
   if (network) {
     const evmClient = new EVMClient(network.chainSelector.selector);
-    writeDecisionOnchain(runtime, evmClient, purchase.requestId, result.approved, result.referencePrice, false);
+    writeDecisionOnchain(runtime, evmClient, purchase.requestId, result.referencePrice, result, false);
   }
 
   return result.approved
@@ -196,7 +281,8 @@ export const onConfidentialPurchaseRequested = (runtime: Runtime<Config>, log: E
 
   const confHTTPClient = new ConfidentialHTTPClient();
 
-  // Resolve purchase details from intent cache
+  // Resolve purchase details from the intent store (authenticated CRE callers only)
+  const apiKey = runtime.getSecret({ id: "marketplaceApiKey" }).result().value;
   const httpClient = new HTTPClient();
   const intentData = httpClient
     .sendRequest(
@@ -205,22 +291,24 @@ export const onConfidentialPurchaseRequested = (runtime: Runtime<Config>, log: E
         const req = {
           url: `${runtime.config.apiUrl}/intent/${intentHash}`,
           method: "GET" as const,
-          headers: { "Content-Type": "application/json" },
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
         };
         const resp = sendRequester.sendRequest(req).result();
         if (!ok(resp)) {
           throw new Error(`Intent lookup failed: ${resp.statusCode}`);
         }
-        return JSON.parse(new TextDecoder().decode(resp.body)) as {
-          itemId: string;
-          price: number;
-          sellerId: string;
-        };
+        return JSON.parse(new TextDecoder().decode(resp.body)) as IntentData;
       },
-      consensusIdenticalAggregation<{ itemId: string; price: number; sellerId: string }>()
+      consensusIdenticalAggregation<IntentData>()
     )()
     .result();
 
+  // The intent must have been signed by the address that made the onchain request
+  if (intentData.requester.toLowerCase() !== requester.toLowerCase()) {
+    runtime.log(`Intent requester mismatch: intent=${intentData.requester} onchain=${requester}`);
+    return `CONFIDENTIAL_ERROR: requestId=${requestId.slice(0, 12)}... requester mismatch`;
+  }
+
   runtime.log(
     `Intent resolved: item=${intentData.itemId} price=${intentData.price} seller=${intentData.sellerId}`
   );
@@ -231,6 +319,7 @@ export const onConfidentialPurchaseRequested = (runtime: Runtime<Config>, log: E
     itemId: intentData.itemId,
     price: intentData.price,
     sellerId: intentData.sellerId,
+    encrypt: true,
   });
 
   const response = confHTTPClient
@@ -265,7 +354,20 @@ export const onConfidentialPurchaseRequested = (runtime: Runtime<Config>, log: E
   });
 
   try {
-    const result = json(response) as EvaluationResult;
+    const parsed = json(response) as EvaluationResult | EncryptedEvaluation;
+
+    if ("encrypted" in parsed) {
+      runtime.log(
+        `Confidential evaluation complete: requestId=${requestId.slice(0, 12)}... approved=${parsed.approved} ciphertext=${parsed.encrypted.ciphertext.length}B`
+      );
+      if (network) {
+        const evmClient = new EVMClient(network.chainSelector.selector);
+        writeDecisionOnchain(runtime, evmClient, requestId, parsed.referencePrice, confidentialDecision(parsed.approved), true);
+      }
+      return `CONFIDENTIAL_RESULT: requestId=${requestId.slice(0, 12)}... approved=${parsed.approved} decision=${parsed.decisionId}`;
+    }
+
+    const result = parsed;
     runtime.log(
       `Confidential evaluation complete: requestId=${requestId.slice(0, 12)}... verdict=${result.verdict} score=${result.valueScore}`
     );
@@ -273,7 +375,7 @@ export const onConfidentialPurchaseRequested = (runtime: Runtime<Config>, log: E
     // Write confidential decision back onchain
     if (network) {
       const evmClient = new EVMClient(network.chainSelector.selector);
-      writeDecisionOnchain(runtime, evmClient, requestId, result.approved, result.referencePrice, true);
+      writeDecisionOnchain(runtime, evmClient, requestId, result.referencePrice, confidentialDecision(result.approved), true);
     }
 
     return result.approved